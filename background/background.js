@@ -13,46 +13,349 @@ chrome.runtime.onInstalled.addListener((details) => {
       streetflixSettings: {
         smoothTransitions: true,
         transitionSpeed: 300,
+        transitionStyle: 'crossfade',
+        transitionEasing: 'cubic',
+        transitionBezier: '',
+        autoTransitionTiming: true,
         autoHeading: true,
-        defaultSpeed: 'cycling'
+        defaultSpeed: 'cycling',
+        routingProvider: 'straight',
+        routingEndpoint: '',
+        repeatMode: 'off',
+        snapPanoramas: true,
+        navigationMode: 'jump',
+        wanderRadius: 0,
+        headingLookAhead: 60,
+        showHud: false
       }
     });
   }
 });
 
+/**
+ * Saved route library
+ * Routes live under one storage key as {id: entry}; each entry keeps the
+ * RouteManager JSON plus metadata for browsing.
+ */
+const RouteLibrary = {
+  STORAGE_KEY: 'streetflixRoutes',
+  MIGRATED_KEY: 'streetflixRoutesMigrated',
+  LEGACY_PREFIX: 'route_',
+  THUMBNAIL_POINTS: 32,
+
+  // Operations read, change and write back the whole map, so they run one at a time
+  queue: Promise.resolve(),
+
+  /**
+   * Run an operation after the ones already queued
+   * @param {Function} task - async () => result
+   * @returns {Promise<*>} The task's result
+   */
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  },
+
+  /**
+   * Load all entries, migrating bare route_<name> keys on first use
+   */
+  async getAll() {
+    const stored = await chrome.storage.local.get([this.STORAGE_KEY, this.MIGRATED_KEY]);
+    const routes = stored[this.STORAGE_KEY] || {};
+
+    if (!stored[this.MIGRATED_KEY]) {
+      await this.migrateLegacy(routes);
+    }
+
+    return routes;
+  },
+
+  /**
+   * Move bare route_<name> keys into the library, once
+   * Legacy keys can only be found by reading everything.
+   */
+  async migrateLegacy(routes) {
+    const stored = await chrome.storage.local.get(null);
+    const legacyKeys = Object.keys(stored).filter(key => key.startsWith(this.LEGACY_PREFIX));
+
+    legacyKeys.forEach(key => {
+      const entry = this.createEntry(key.slice(this.LEGACY_PREFIX.length), stored[key]);
+      routes[entry.id] = entry;
+    });
+
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: routes, [this.MIGRATED_KEY]: true });
+    if (legacyKeys.length) {
+      await chrome.storage.local.remove(legacyKeys);
+      console.log(`[StreetFlix Background] Migrated ${legacyKeys.length} legacy route(s)`);
+    }
+  },
+
+  async saveAll(routes) {
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: routes });
+  },
+
+  /**
+   * Build a library entry from RouteManager JSON
+   */
+  createEntry(name, route, tags = []) {
+    const now = Date.now();
+    return {
+      id: crypto.randomUUID(),
+      name: (name || route?.name || 'Untitled route').trim(),
+      tags: this.normalizeTags(tags),
+      createdAt: now,
+      updatedAt: now,
+      lastPlayedAt: null,
+      distance: Math.round(route?.totalDistance || 0),
+      thumbnail: this.createThumbnail(route?.waypoints || []),
+      route
+    };
+  },
+
+  /**
+   * Downsample waypoints to a few [lat, lng] pairs for list previews
+   */
+  createThumbnail(waypoints) {
+    if (waypoints.length <= this.THUMBNAIL_POINTS) {
+      return waypoints.map(p => [+p.lat.toFixed(5), +p.lng.toFixed(5)]);
+    }
+
+    const step = (waypoints.length - 1) / (this.THUMBNAIL_POINTS - 1);
+    return Array.from({ length: this.THUMBNAIL_POINTS }, (_, i) => {
+      const p = waypoints[Math.round(i * step)];
+      return [+p.lat.toFixed(5), +p.lng.toFixed(5)];
+    });
+  },
+
+  normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  },
+
+  /**
+   * Entry without the route payload, for listing
+   */
+  summarize(entry) {
+    const { route, ...summary } = entry;
+    return summary;
+  },
+
+  async list() {
+    const routes = await this.getAll();
+    return Object.values(routes)
+      .map(entry => this.summarize(entry))
+      .sort((a, b) => (b.lastPlayedAt || b.createdAt) - (a.lastPlayedAt || a.createdAt));
+  },
+
+  async get(id) {
+    const routes = await this.getAll();
+    return routes[id] || null;
+  },
+
+  async create(name, route, tags) {
+    if (!route?.waypoints?.length) {
+      throw new Error('Cannot save an empty route');
+    }
+
+    const routes = await this.getAll();
+    const entry = this.createEntry(name, route, tags);
+    routes[entry.id] = entry;
+    await this.saveAll(routes);
+    return this.summarize(entry);
+  },
+
+  /**
+   * Apply changes to an entry
+   * @param {string} id - Entry ID
+   * @param {Function} change - Receives the entry to modify in place
+   */
+  async update(id, change) {
+    const routes = await this.getAll();
+    const entry = routes[id];
+    if (!entry) {
+      throw new Error('Route not found');
+    }
+
+    change(entry);
+    await this.saveAll(routes);
+    return this.summarize(entry);
+  },
+
+  rename(id, name) {
+    if (!name?.trim()) {
+      throw new Error('Route name cannot be empty');
+    }
+    return this.update(id, entry => {
+      entry.name = name.trim();
+      entry.updatedAt = Date.now();
+    });
+  },
+
+  setTags(id, tags) {
+    return this.update(id, entry => {
+      entry.tags = this.normalizeTags(tags);
+      entry.updatedAt = Date.now();
+    });
+  },
+
+  markPlayed(id) {
+    return this.update(id, entry => {
+      entry.lastPlayedAt = Date.now();
+    });
+  },
+
+  async duplicate(id) {
+    const routes = await this.getAll();
+    const source = routes[id];
+    if (!source) {
+      throw new Error('Route not found');
+    }
+
+    const entry = this.createEntry(`${source.name} (copy)`, source.route, source.tags);
+    routes[entry.id] = entry;
+    await this.saveAll(routes);
+    return this.summarize(entry);
+  },
+
+  async remove(id) {
+    const routes = await this.getAll();
+    if (!routes[id]) {
+      throw new Error('Route not found');
+    }
+
+    delete routes[id];
+    await this.saveAll(routes);
+  },
+
+  /**
+   * Handle a library message from the popup or a content script
+   * Messages are handled in the order they arrive.
+   * @returns {Promise<Object>} Response
+   */
+  handleMessage(message) {
+    return this.enqueue(() => this.dispatch(message));
+  },
+
+  async dispatch(message) {
+    switch (message.type) {
+      case 'saveRoute':
+        return { route: await this.create(message.name, message.route, message.tags) };
+      case 'listRoutes':
+        return { routes: await this.list() };
+      case 'loadRoute': {
+        const entry = await this.get(message.id);
+        if (!entry) throw new Error('Route not found');
+        return { route: entry.route, entry: this.summarize(entry) };
+      }
+      case 'renameRoute':
+        return { route: await this.rename(message.id, message.name) };
+      case 'setRouteTags':
+        return { route: await this.setTags(message.id, message.tags) };
+      case 'duplicateRoute':
+        return { route: await this.duplicate(message.id) };
+      case 'deleteRoute':
+        await this.remove(message.id);
+        return {};
+      case 'markRoutePlayed':
+        return { route: await this.markPlayed(message.id) };
+    }
+  }
+};
+
+/**
+ * Visible tab captures for transition snapshots
+ * Chrome refuses more than about two captures per second, so requests
+ * closer together than that are turned away here instead.
+ */
+const TabCapture = {
+  MIN_INTERVAL: 500, // ms
+  lastCapture: 0,
+
+  /**
+   * Capture the visible part of a window's active tab
+   * @param {number} windowId - Window of the requesting tab
+   * @returns {Promise<string>} JPEG data URL
+   */
+  async capture(windowId) {
+    const wait = this.lastCapture + this.MIN_INTERVAL - Date.now();
+    if (wait > 0) {
+      throw new Error(`Rate limited, retry in ${wait}ms`);
+    }
+
+    this.lastCapture = Date.now();
+    return chrome.tabs.captureVisibleTab(windowId, { format: 'jpeg', quality: 85 });
+  }
+};
+
+/**
+ * Route service requests on behalf of content scripts
+ * Only OSRM route calls are forwarded.
+ */
+const RoutingProxy = {
+  /**
+   * Fetch a route service response
+   * @param {string} url - OSRM /route/v1/ request URL
+   * @param {number} timeout - ms before giving up
+   * @returns {Promise<Object>} Parsed JSON response
+   */
+  async fetchRoute(url, timeout = 10000) {
+    const parsed = new URL(url);
+    if (!/^https?:$/.test(parsed.protocol) || !parsed.pathname.includes('/route/v1/')) {
+      throw new Error('Not a route service URL');
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      const response = await fetch(parsed, { signal: controller.signal });
+      return await response.json();
+    } catch (error) {
+      throw new Error(error.name === 'AbortError' ? `timed out after ${timeout}ms` : error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+};
+
+const LIBRARY_MESSAGES = [
+  'saveRoute', 'listRoutes', 'loadRoute', 'renameRoute',
+  'setRouteTags', 'duplicateRoute', 'deleteRoute', 'markRoutePlayed'
+];
+
 // Handle messages from content scripts or popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('[StreetFlix Background] Message:', message);
 
+  if (LIBRARY_MESSAGES.includes(message.type)) {
+    RouteLibrary.handleMessage(message)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
+        console.error('[StreetFlix Background] Route library error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Async response
+  }
+
   switch (message.type) {
+    case 'captureTab':
+      TabCapture.capture(sender.tab?.windowId)
+        .then(dataUrl => sendResponse({ success: true, dataUrl }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Async response
+
+    case 'fetchRoute':
+      RoutingProxy.fetchRoute(message.url, message.timeout)
+        .then(data => sendResponse({ success: true, data }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Async response
+
     case 'getSettings':
       chrome.storage.local.get(['streetflixSettings'], (result) => {
         sendResponse(result.streetflixSettings || {});
       });
       return true; // Async response
-
-    case 'saveRoute':
-      // Save route for later use
-      chrome.storage.local.set({
-        [`route_${message.name}`]: message.route
-      });
-      sendResponse({ success: true });
-      break;
-
-    case 'loadRoute':
-      chrome.storage.local.get([`route_${message.name}`], (result) => {
-        sendResponse({ route: result[`route_${message.name}`] });
-      });
-      return true;
-
-    case 'listRoutes':
-      chrome.storage.local.get(null, (result) => {
-        const routes = Object.keys(result)
-          .filter(key => key.startsWith('route_'))
-          .map(key => key.replace('route_', ''));
-        sendResponse({ routes });
-      });
-      return true;
   }
 });
 
@@ -84,5 +387,7 @@ chrome.tabs.onRemoved.addListener((tabId) => {
 
 // Export for potential use
 self.streetflixBackground = {
-  activeTabs
+  activeTabs,
+  RouteLibrary,
+  TabCapture
 };
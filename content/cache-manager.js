@@ -7,18 +7,34 @@ class CacheManager {
   constructor() {
     this.cached = new Set();
     this.loading = new Set();
+    this.failed = new Set(); // Points with no panorama found
     this.cacheAhead = 5; // Number of panoramas to pre-cache
     this.maxCacheSize = 50;
     this.tileCache = new Map();
+
+    // Panorama lookups by point key: {panoId, position}, or null for no coverage
+    this.panoramas = new Map();
+    this.resolver = (point, radius, signal) => this.requestPanorama(point, radius, signal);
+    this.lookupTimeout = 8000;  // ms before a lookup counts as failed
+    this.lookupFailures = 0;   // lookups in a row the resolver could not answer
+    this.maxLookupFailures = 3; // after this many, lookups count as unavailable
+    this.requestId = 0;
+
+    // Whether playback found each panorama it moved to already cached
+    this.hits = 0;
+    this.misses = 0;
   }
 
   /**
    * Pre-cache upcoming panoramas for a route
    * @param {Array} waypoints - Array of {lat, lng} points
    * @param {number} currentIndex - Current position in route
+   * @param {number} direction - 1 when playing forward, -1 in reverse
    */
-  async precacheRoute(waypoints, currentIndex) {
-    const upcoming = waypoints.slice(currentIndex, currentIndex + this.cacheAhead);
+  async precacheRoute(waypoints, currentIndex, direction = 1) {
+    const upcoming = direction < 0 ?
+      waypoints.slice(Math.max(0, currentIndex - this.cacheAhead + 1), currentIndex + 1).reverse() :
+      waypoints.slice(currentIndex, currentIndex + this.cacheAhead);
     
     for (const point of upcoming) {
       const key = this.getPointKey(point);
@@ -35,7 +51,7 @@ class CacheManager {
   async precachePoint(point) {
     const key = this.getPointKey(point);
     
-    if (this.cached.has(key) || this.loading.has(key)) {
+    if (this.cached.has(key) || this.loading.has(key) || this.failed.has(key)) {
       return;
     }
 
@@ -48,9 +64,12 @@ class CacheManager {
       if (panoId) {
         await this.precachePanorama(panoId);
         this.cached.add(key);
+      } else {
+        this.failed.add(key);
       }
     } catch (error) {
       console.warn('[StreetFlix] Precache failed for', point, error);
+      this.failed.add(key);
     } finally {
       this.loading.delete(key);
     }
@@ -109,41 +128,110 @@ class CacheManager {
   }
 
   /**
-   * Find nearest panorama ID for a location
+   * Check whether panoramas can be looked up by location
+   * False once the resolver has failed several times in a row.
+   */
+  canResolvePanoramas() {
+    return this.lookupFailures < this.maxLookupFailures;
+  }
+
+  /**
+   * Replace the panorama resolver, e.g. with a local stand-in
+   * @param {Function} resolve - async (point, radius, signal) => {panoId, position}
+   *   or null for no coverage; throws if the lookup fails
+   */
+  setPanoramaResolver(resolve) {
+    this.resolver = resolve;
+    this.panoramas.clear();
+    this.lookupFailures = 0;
+  }
+
+  /**
+   * Find the nearest panorama to a location and where it really is
+   * Lookups that take longer than lookupTimeout are aborted; results are kept.
    * @param {Object} point - {lat, lng}
-   * @returns {Promise<string|null>} Panorama ID or null
+   * @param {number} radius - Search radius in meters
+   * @returns {Promise<Object|null>} {panoId, position: {lat, lng}}, or null if there is no coverage
+   * @throws {Error} If the resolver could not answer
    */
-  async findNearestPanoId(point) {
-    // Method 1: Try Google's internal API if available
-    if (window.google?.maps?.StreetViewService) {
-      try {
-        const service = new google.maps.StreetViewService();
-        const result = await new Promise((resolve, reject) => {
-          service.getPanorama({
-            location: point,
-            radius: 50,
-            source: google.maps.StreetViewSource.OUTDOOR
-          }, (data, status) => {
-            if (status === 'OK' && data) {
-              resolve(data.location.pano);
-            } else {
-              reject(new Error(status));
-            }
-          });
-        });
-        return result;
-      } catch (e) {
-        // Service not available or no panorama found
-      }
+  async findNearestPanorama(point, radius = 50) {
+    const key = `${this.getPointKey(point)}/${radius}`;
+    if (this.panoramas.has(key)) {
+      return this.panoramas.get(key);
     }
 
-    // Method 2: Parse from current page if near target
-    const currentPanoId = this.getCurrentPanoId();
-    if (currentPanoId) {
-      return currentPanoId;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.lookupTimeout);
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => {
+        reject(new Error(`Panorama lookup timed out after ${this.lookupTimeout}ms`));
+      });
+    });
+
+    let panorama;
+    try {
+      panorama = await Promise.race([this.resolver(point, radius, controller.signal), aborted]);
+    } catch (error) {
+      this.lookupFailures++;
+      throw error;
+    } finally {
+      clearTimeout(timer);
     }
 
-    return null;
+    this.lookupFailures = 0;
+    this.panoramas.set(key, panorama ?? null);
+    if (this.panoramas.size > this.maxCacheSize * 20) {
+      this.panoramas.delete(this.panoramas.keys().next().value);
+    }
+    return panorama ?? null;
+  }
+
+  /**
+   * Ask the page's Street View service for a panorama
+   * The service is only reachable from the page's own scripts, so the
+   * request goes through panorama-bridge.js over window messages.
+   * @param {AbortSignal} signal - Stops waiting for the answer
+   */
+  requestPanorama(point, radius, signal) {
+    const id = ++this.requestId;
+
+    return new Promise((resolve, reject) => {
+      const onMessage = (event) => {
+        if (event.source !== window || event.data?.type !== 'streetflix:panorama' || event.data.id !== id) {
+          return;
+        }
+        window.removeEventListener('message', onMessage);
+        if (event.data.success) {
+          resolve(event.data.panorama);
+        } else {
+          reject(new Error(event.data.error || 'Panorama lookup failed'));
+        }
+      };
+
+      signal?.addEventListener('abort', () => window.removeEventListener('message', onMessage));
+      window.addEventListener('message', onMessage);
+      window.postMessage({
+        type: 'streetflix:findPanorama',
+        id,
+        point: { lat: point.lat, lng: point.lng },
+        radius
+      }, location.origin);
+    });
+  }
+
+  /**
+   * Find nearest panorama ID for a location
+   * Snapped waypoints already carry their panorama.
+   * @param {Object} point - {lat, lng, panoId?}
+   * @returns {Promise<string|null>} Panorama ID or null
+   */
+  async findNearestPanoId(point) {
+    if (point.panoId) {
+      return point.panoId;
+    }
+
+    const panorama = await this.findNearestPanorama(point);
+    return panorama?.panoId ?? null;
   }
 
   /**
@@ -213,6 +301,35 @@ class CacheManager {
     return this.cached.has(this.getPointKey(point));
   }
 
+  /**
+   * Count a move to a point as a cache hit or miss
+   * @returns {boolean} Whether the point was cached
+   */
+  recordArrival(point) {
+    const hit = this.isCached(point);
+    if (hit) {
+      this.hits++;
+    } else {
+      this.misses++;
+    }
+    return hit;
+  }
+
+  /**
+   * Check if precaching a point gave up (no panorama nearby, or it took too long)
+   * Such points will never be cached, so playback should not wait on them.
+   */
+  hasFailed(point) {
+    return this.failed.has(this.getPointKey(point));
+  }
+
+  /**
+   * Give up on precaching a point
+   */
+  markFailed(point) {
+    this.failed.add(this.getPointKey(point));
+  }
+
   /**
    * Get cache statistics
    */
@@ -220,7 +337,10 @@ class CacheManager {
     return {
       cachedPoints: this.cached.size,
       cachedTiles: this.tileCache.size,
-      loading: this.loading.size
+      loading: this.loading.size,
+      failed: this.failed.size,
+      hits: this.hits,
+      misses: this.misses
     };
   }
 
@@ -230,7 +350,12 @@ class CacheManager {
   clear() {
     this.cached.clear();
     this.loading.clear();
+    this.failed.clear();
     this.tileCache.clear();
+    this.panoramas.clear();
+    this.lookupFailures = 0;
+    this.hits = 0;
+    this.misses = 0;
   }
 
   /**
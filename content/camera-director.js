@@ -0,0 +1,244 @@
+/**
+ * StreetFlix - Camera Director
+ * Turn the route's camera keyframes into a point of view for each frame
+ *
+ * Keyframes sit at distances along the route and hold a heading offset from
+ * the direction of travel, a pitch and a zoom. Between two keyframes the view
+ * eases from one to the other; before the first and after the last it holds.
+ * Offsets are stored for forward travel and mirrored when playing in reverse,
+ * so "look left at the cathedral" still faces the cathedral on the way back.
+ *
+ * The travel heading itself is smoothed like a dashcam: a distance-weighted
+ * circular mean of the route headings ahead, turned toward at a limited rate
+ * per frame. When the road close ahead turns consistently and sharply, as at
+ * a street corner, the camera follows the corner at a higher rate instead.
+ *
+ * Look-at targets take over the heading while the frame is inside their
+ * window: the camera turns toward the target as it comes within range,
+ * follows it while passing and eases back to the road as it falls behind.
+ */
+
+class CameraDirector {
+  constructor(route) {
+    this.route = route;
+    this.blendShare = 0.5; // outer part of a target's window used to blend in and out
+
+    this.smoothing = {
+      lookAhead: 60,       // meters of route averaged, 0 to follow the next waypoint
+      maxTurnRate: 15,     // degrees per frame
+      sharpWindow: 30,     // meters checked for a sharp turn
+      sharpTurnAngle: 45,  // degrees off the camera heading that count as sharp
+      sharpConsistency: 0.95, // how straight the road after the corner must be (0-1)
+      sharpTurnRate: 60    // degrees per frame while taking a sharp turn
+    };
+    this.lastHeading = null;
+  }
+
+  /**
+   * Set the look-ahead window for heading smoothing
+   * @param {number} meters - 0 turns smoothing off
+   */
+  setLookAhead(meters) {
+    const lookAhead = Math.max(0, meters || 0);
+    if (lookAhead !== this.smoothing.lookAhead) {
+      this.smoothing.lookAhead = lookAhead;
+      this.resetHeading();
+    }
+  }
+
+  /**
+   * Forget the previous heading, e.g. after a jump
+   */
+  resetHeading() {
+    this.lastHeading = null;
+  }
+
+  /**
+   * Get the smoothed travel heading for the next frame from a waypoint
+   * Call once per frame: each call turns the camera by at most the turn rate.
+   * @param {number} index - Waypoint the frame starts from
+   * @returns {number} Heading in degrees
+   */
+  getTravelHeading(index) {
+    const { lookAhead, maxTurnRate, sharpWindow, sharpTurnAngle, sharpConsistency, sharpTurnRate } = this.smoothing;
+    const ahead = lookAhead > 0 ? this.getMeanHeading(index, lookAhead) : null;
+
+    if (!ahead) {
+      this.lastHeading = null;
+      return this.route.getHeadingToNext();
+    }
+
+    if (this.lastHeading === null) {
+      this.lastHeading = ahead.heading;
+      return ahead.heading;
+    }
+
+    let target = ahead.heading;
+    let maxTurn = maxTurnRate;
+
+    // A corner: the road just ahead is straight but points well away from the camera
+    const near = this.getMeanHeading(index, sharpWindow);
+    if (near && near.consistency >= sharpConsistency &&
+        Math.abs(GeoUtils.normalizeHeadingDiff(this.lastHeading, near.heading)) > sharpTurnAngle) {
+      target = near.heading;
+      maxTurn = sharpTurnRate;
+    }
+
+    const turn = GeoUtils.normalizeHeadingDiff(this.lastHeading, target);
+    const clamped = Math.max(-maxTurn, Math.min(maxTurn, turn));
+    this.lastHeading = (this.lastHeading + clamped + 360) % 360;
+    return this.lastHeading;
+  }
+
+  /**
+   * Distance-weighted circular mean of the route headings ahead
+   * Nearer segments weigh more, fading linearly to half at the window's end.
+   * @param {number} index - Waypoint to start from
+   * @param {number} window - Meters to look ahead
+   * @returns {Object|null} {heading, consistency}, consistency 1 for a straight road, or null at the end
+   */
+  getMeanHeading(index, window) {
+    const direction = this.route.direction;
+    let from = this.route.getWaypoint(index);
+    let traveled = 0;
+    let x = 0;
+    let y = 0;
+    let total = 0;
+
+    for (let i = index + direction; from && traveled < window; i += direction) {
+      const to = this.route.getWaypoint(i);
+      if (!to) break;
+
+      const length = GeoUtils.calculateDistance(from, to);
+      if (length > 0) {
+        const covered = Math.min(length, window - traveled);
+        const weight = covered * (1 - 0.5 * (traveled + covered / 2) / window);
+        const heading = GeoUtils.toRad(GeoUtils.calculateHeading(from, to));
+
+        x += Math.sin(heading) * weight;
+        y += Math.cos(heading) * weight;
+        total += weight;
+        traveled += length;
+      }
+      from = to;
+    }
+
+    if (total === 0) return null;
+
+    return {
+      heading: (GeoUtils.toDeg(Math.atan2(x, y)) + 360) % 360,
+      consistency: Math.sqrt(x * x + y * y) / total
+    };
+  }
+
+  /**
+   * Get the point of view for a frame
+   * @param {number} distance - Meters along the route the frame shows
+   * @param {number|null} heading - Travel heading, null to keep the current heading
+   * @param {Object} position - {lat, lng} of the frame, for look-at targets
+   * @returns {Object} {heading, pitch?, zoom?}, pitch and zoom only when keyframes apply
+   */
+  getView(distance, heading, position = null) {
+    const keyframe = this.getKeyframeView(distance);
+    const view = keyframe ? { pitch: keyframe.pitch, zoom: keyframe.zoom } : {};
+
+    if (heading === null) {
+      return { heading: null, ...view };
+    }
+
+    if (keyframe) {
+      heading = (heading + keyframe.headingOffset * this.route.direction + 360) % 360;
+    }
+
+    const lookAt = position ? this.getLookAt(position) : null;
+    if (lookAt) {
+      heading = GeoUtils.interpolateHeading(heading, lookAt.heading, lookAt.weight);
+    }
+
+    return { heading, ...view };
+  }
+
+  /**
+   * Find the target with the strongest pull on the camera
+   * @param {Object} position - {lat, lng}
+   * @returns {Object|null} {target, heading, weight}, or null if none is in range
+   */
+  getLookAt(position) {
+    let best = null;
+
+    this.route.targets.forEach(target => {
+      const weight = this.getTargetWeight(target, GeoUtils.calculateDistance(position, target));
+      if (weight > 0 && (!best || weight > best.weight)) {
+        best = { target, heading: GeoUtils.calculateHeading(position, target), weight };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * How strongly a target holds the camera at a distance
+   * Full inside the window, easing to nothing across its outer edge.
+   * @returns {number} 0 to 1
+   */
+  getTargetWeight(target, distance) {
+    const blend = target.radius * this.blendShare;
+    const t = Math.max(0, Math.min(1, (target.radius - distance) / blend));
+    return t * t * (3 - 2 * t);
+  }
+
+  /**
+   * Interpolate the keyframes at a distance
+   * @returns {Object|null} {headingOffset, pitch, zoom}, or null without keyframes
+   */
+  getKeyframeView(distance) {
+    const keyframes = this.route.keyframes;
+    if (!keyframes.length) return null;
+
+    const nextIndex = keyframes.findIndex(keyframe => keyframe.distance > distance);
+    if (nextIndex === 0) return this.toView(keyframes[0]);
+    if (nextIndex === -1) return this.toView(keyframes[keyframes.length - 1]);
+
+    const from = keyframes[nextIndex - 1];
+    const to = keyframes[nextIndex];
+    const t = (distance - from.distance) / (to.distance - from.distance);
+    const eased = t * t * (3 - 2 * t); // smoothstep, so the camera settles on each keyframe
+
+    const headingOffset = GeoUtils.interpolateHeading(from.headingOffset, to.headingOffset, eased);
+    return {
+      headingOffset: headingOffset > 180 ? headingOffset - 360 : headingOffset,
+      pitch: from.pitch + (to.pitch - from.pitch) * eased,
+      zoom: from.zoom + (to.zoom - from.zoom) * eased
+    };
+  }
+
+  /**
+   * Describe the current view as a keyframe relative to the travel heading
+   * @param {Object} pov - {heading, pitch, zoom} from the Street View controller
+   * @param {number} travelHeading - Heading toward the next waypoint
+   * @returns {Object} {headingOffset, pitch, zoom}
+   */
+  captureView(pov, travelHeading) {
+    const offset = GeoUtils.normalizeHeadingDiff(travelHeading, pov.heading);
+
+    return {
+      headingOffset: Math.round(offset * this.route.direction),
+      pitch: Math.round(pov.pitch || 0),
+      zoom: Math.round((pov.zoom ?? 1) * 10) / 10
+    };
+  }
+
+  /**
+   * Copy the view values of a keyframe
+   */
+  toView(keyframe) {
+    return {
+      headingOffset: keyframe.headingOffset,
+      pitch: keyframe.pitch,
+      zoom: keyframe.zoom
+    };
+  }
+}
+
+// Export
+window.CameraDirector = CameraDirector;
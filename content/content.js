@@ -23,19 +23,96 @@
       this.isPaused = false;
       this.speed = 'cycling';
       this.playbackTimer = null;
+      this.libraryRouteId = null;
+      this.chapterTicksKey = null;
 
-      // Speed settings (interval between moves in ms)
+      // Playback session saved for resuming after a reload
+      this.savedSession = null;
+      this.sessionKey = null;
+      this.sessionRouteKey = null;
+      this.pendingResume = null; // resumed trip waiting for its first move
+      this.resumeToast = null;
+
+      // Target ground speed per speed mode (km/h)
       this.speeds = {
-        walking: 2500,    // ~5 km/h feel
-        cycling: 1200,    // ~15 km/h feel
-        driving: 600,     // ~50 km/h feel
-        flying: 250       // Fast preview
+        walking: 5,
+        cycling: 15,
+        driving: 50,
+        flying: 300       // Fast preview
+      };
+
+      // Buffering: wait until the next few panoramas are cached
+      this.bufferAhead = 3;
+      this.bufferTimeout = 8000; // give up waiting and move on (ms)
+      this.isBuffering = false;
+      this.bufferingSince = 0;
+
+      // Recent frames {distance, duration} for the effective speed readout
+      this.frameLog = [];
+      this.lastFrame = null;
+
+      // Nominal waypoint spacing per speed mode (meters)
+      this.spacings = {
+        walking: 10,
+        cycling: 20,
+        driving: 35,
+        flying: 80
       };
 
       this.settings = {
         smoothTransitions: true,
         transitionSpeed: 300,
-        autoHeading: true
+        transitionStyle: 'crossfade',
+        transitionEasing: 'cubic',    // cubic, quint, expo or bezier
+        transitionBezier: '',         // "x1, y1, x2, y2" for the bezier easing
+        autoTransitionTiming: true,   // shorten transitions to fit fast frames
+        autoHeading: true,
+        routingProvider: 'straight',
+        routingEndpoint: '',
+        repeatMode: 'off',  // off, loop, pingpong, reverse
+        snapPanoramas: true,
+        navigationMode: 'jump', // jump: move by URL, links: walk adjacent panoramas
+        wanderRadius: 0,        // meters around the wander start, 0 for no limit
+        headingLookAhead: 60,   // meters of road the camera heading averages, 0 for none
+        showHud: false          // on-screen performance readout
+      };
+
+      this.isSnapping = false;
+      this.snapProgress = 0;
+
+      // Settings a share link carries: how the trip plays. Routing settings
+      // are left out (the link holds the routed geometry), and so are the
+      // wander radius and HUD, which are the viewer's own preferences.
+      // Each setting maps to a check for the values the popup can set;
+      // anything else in a link is dropped.
+      const isBoolean = value => typeof value === 'boolean';
+      const isOneOf = values => value => values.includes(value);
+      const isKeyOf = object => value => typeof value === 'string' && Object.hasOwn(object, value);
+      this.sharedSettings = {
+        smoothTransitions: isBoolean,
+        transitionSpeed: value => Number.isFinite(value) && value >= 100 && value <= 1000,
+        transitionStyle: value => isKeyOf(TransitionStyles.styles)(value),
+        transitionEasing: value => value === 'bezier' || isKeyOf(Easing.curves)(value),
+        transitionBezier: value => value === '' || (typeof value === 'string' && Easing.parseBezier(value) !== null),
+        autoTransitionTiming: isBoolean,
+        autoHeading: isBoolean,
+        headingLookAhead: isOneOf([0, 30, 60, 120]),
+        repeatMode: value => isKeyOf(this.repeatModes)(value),
+        navigationMode: isOneOf(['jump', 'links']),
+        snapPanoramas: isBoolean
+      };
+
+      // How far ahead of the view a target is pinned without coordinates (meters)
+      this.targetPinDistance = 40;
+
+      // Wander mode: explore links without a route
+      this.isWandering = false;
+
+      this.repeatModes = {
+        off: { icon: '➡️', label: 'Play once' },
+        loop: { icon: '🔁', label: 'Loop' },
+        pingpong: { icon: '🔄', label: 'Ping-pong' },
+        reverse: { icon: '⬅️', label: 'Reverse' }
       };
 
       console.log('[StreetFlix] Initializing...');
@@ -47,11 +124,25 @@
         // Initialize components
         this.streetView = new StreetViewController();
         this.route = new RouteManager();
+        this.route.setSpacing(this.spacings[this.speed]);
+        this.camera = new CameraDirector(this.route);
         this.cache = new CacheManager();
+        this.telemetry = new Telemetry();
 
         await this.streetView.initialize();
         
         this.transitions = new TransitionEngine(this.streetView);
+        this.transitions.frameCapture.onBlocked = () => {
+          this.showToast('📷 Click the StreetFlix icon on this tab to turn on snapshot transitions', [], 6000);
+        };
+        this.navigator = new LinkNavigator(this.streetView);
+        this.wanderer = new Wanderer(this.streetView);
+
+        // Apply saved settings
+        const stored = await chrome.storage.local.get(['streetflixSettings']);
+        if (stored.streetflixSettings) {
+          this.updateSettings(stored.streetflixSettings);
+        }
 
         // Set up message listener
         this.setupMessageListener();
@@ -61,6 +152,21 @@
 
         // Create floating UI
         this.createFloatingUI();
+        this.createHud();
+
+        // Open a route shared via link, if the page was opened with one
+        this.loadSharedRoute();
+
+        // Otherwise offer to pick up the last trip
+        if (!this.route.hasRoute()) {
+          await this.loadSavedSession();
+        }
+
+        // Save the session regularly and when the tab is hidden
+        setInterval(() => this.saveSession(), 5000);
+        document.addEventListener('visibilitychange', () => {
+          if (document.visibilityState === 'hidden') this.saveSession();
+        });
 
         console.log('[StreetFlix] Ready!');
         
@@ -85,41 +191,193 @@
             break;
 
           case 'setPoint':
-            const position = this.streetView.getPosition();
-            if (position) {
-              if (message.type === 'start') {
-                this.route.setStartPoint(position);
-              } else {
-                this.route.setEndPoint(position);
-              }
-              this.route.buildRoute();
-              sendResponse({ 
-                success: true, 
-                location: `${position.lat.toFixed(4)}, ${position.lng.toFixed(4)}`,
-                waypointCount: this.route.waypoints.length
-              });
+            this.setPoint(message.type, message.index).then(sendResponse);
+            break;
+
+          case 'moveStop':
+            if (this.route.moveStop(message.from, message.to)) {
+              this.rebuildRoute().then(sendResponse);
+            } else {
+              sendResponse({ success: false, error: 'Invalid stop index' });
+            }
+            break;
+
+          case 'removeStop':
+            if (this.route.removeStop(message.index)) {
+              this.rebuildRoute().then(sendResponse);
             } else {
-              sendResponse({ success: false, error: 'Could not get position' });
+              sendResponse({ success: false, error: 'Invalid stop index' });
             }
             break;
 
           case 'captureRoute':
-            const captured = this.route.captureFromGoogleDirections();
-            if (captured) {
-              sendResponse({ 
-                success: true, 
+            this.captureRoute().then(sendResponse);
+            break;
+
+          case 'importRoute':
+            try {
+              const format = message.format ||
+                RouteFormats.detectFormat(message.content, message.filename);
+              if (!format) {
+                throw new Error('Unrecognized route file format (expected GPX, GeoJSON or KML)');
+              }
+              this.route.importRoute(message.content, format);
+              this.libraryRouteId = null;
+              this.updateFloatingUI();
+              sendResponse({
+                success: true,
                 ...this.route.getInfo()
               });
+            } catch (error) {
+              console.error('[StreetFlix] Route import failed:', error);
+              sendResponse({ success: false, error: error.message });
+            }
+            break;
+
+          case 'exportRoute':
+            try {
+              const fileType = RouteFormats.fileTypes[message.format];
+              if (!fileType) {
+                throw new Error(`Unsupported export format: ${message.format}`);
+              }
+              sendResponse({
+                success: true,
+                content: this.route.exportRoute(message.format),
+                filename: `${(this.route.name || 'streetflix-route').replace(/[^\w.-]+/g, '_')}.${fileType.extension}`,
+                mimeType: fileType.mimeType
+              });
+            } catch (error) {
+              sendResponse({ success: false, error: error.message });
+            }
+            break;
+
+          case 'getRoute':
+            if (this.route.hasRoute()) {
+              sendResponse({ success: true, route: this.route.toJSON(), ...this.route.getInfo() });
             } else {
-              sendResponse({ success: false, error: 'Could not capture route' });
+              sendResponse({ success: false, error: 'No route to save' });
             }
             break;
 
-          case 'setSpeed':
-            this.speed = message.speed;
+          case 'loadRoute':
+            if (this.isPlaying) {
+              this.stop();
+            }
+            this.route.fromJSON(message.route);
+            this.libraryRouteId = message.id || null;
+            this.showFloatingUI(true);
+            this.updateFloatingUI();
+            sendResponse({ success: true, ...this.route.getInfo() });
+            break;
+
+          case 'getShareLink':
+            if (this.route.hasRoute()) {
+              sendResponse({ success: true, url: this.getShareLink() });
+            } else {
+              sendResponse({ success: false, error: 'No route to share' });
+            }
+            break;
+
+          case 'addChapter':
+            if (this.route.hasRoute()) {
+              this.route.addChapter(message.name);
+              this.updateFloatingUI();
+              sendResponse({ success: true, ...this.route.getInfo() });
+            } else {
+              sendResponse({ success: false, error: 'No route to bookmark' });
+            }
+            break;
+
+          case 'removeChapter':
+            if (this.route.removeChapter(message.index)) {
+              this.updateFloatingUI();
+              sendResponse({ success: true, ...this.route.getInfo() });
+            } else {
+              sendResponse({ success: false, error: 'Invalid chapter index' });
+            }
+            break;
+
+          case 'setChapterTransition':
+            if (this.route.setChapterTransition(message.index, message.style)) {
+              sendResponse({ success: true, ...this.route.getInfo() });
+            } else {
+              sendResponse({ success: false, error: 'Invalid chapter index' });
+            }
+            break;
+
+          case 'jumpToChapter':
+            this.skipChapter(() => this.route.jumpToChapter(message.index));
+            sendResponse({ success: true, ...this.route.getInfo() });
+            break;
+
+          case 'skipChapter':
+            this.skipChapter(() => message.direction < 0 ?
+              this.route.previousChapter() :
+              this.route.nextChapter());
+            sendResponse({ success: true, ...this.route.getInfo() });
+            break;
+
+          case 'addKeyframe':
+            if (this.route.hasRoute()) {
+              this.addKeyframe();
+              sendResponse({ success: true, ...this.route.getInfo() });
+            } else {
+              sendResponse({ success: false, error: 'No route to add a keyframe to' });
+            }
+            break;
+
+          case 'removeKeyframe':
+            if (this.route.removeKeyframe(message.index)) {
+              sendResponse({ success: true, ...this.route.getInfo() });
+            } else {
+              sendResponse({ success: false, error: 'Invalid keyframe index' });
+            }
+            break;
+
+          case 'addTarget': {
+            const result = this.addTarget(message.position, message);
+            sendResponse(result.success ? { success: true, ...this.route.getInfo() } : result);
+            break;
+          }
+
+          case 'removeTarget':
+            if (this.route.removeTarget(message.index)) {
+              sendResponse({ success: true, ...this.route.getInfo() });
+            } else {
+              sendResponse({ success: false, error: 'Invalid target index' });
+            }
+            break;
+
+          case 'snapRoute':
+            this.snapRoute().then(sendResponse);
+            break;
+
+          case 'allowCapture':
+            this.transitions.frameCapture.allow();
             sendResponse({ success: true });
             break;
 
+          case 'getTelemetry':
+            sendResponse({
+              success: true,
+              content: JSON.stringify(this.telemetry.toJSON(), null, 2),
+              filename: `streetflix-telemetry-${new Date().toISOString().replace(/[:.]/g, '-')}.json`,
+              mimeType: 'application/json'
+            });
+            break;
+
+          case 'resumeSession':
+            sendResponse(this.resumeSession());
+            break;
+
+          case 'setSpeed':
+            this.setSpeed(message.speed).then(sendResponse);
+            break;
+
+          case 'wander':
+            sendResponse(this.startWander());
+            break;
+
           case 'play':
             this.play();
             sendResponse({ success: true });
@@ -148,6 +406,391 @@
       });
     }
 
+    /**
+     * Set a stop from the current position and rebuild the route
+     * @param {string} type - 'start', 'end' or 'via'
+     * @param {number} index - Stop index for via points (default: before the end)
+     */
+    async setPoint(type, index = null) {
+      const position = this.streetView.getPosition();
+      if (!position) {
+        return { success: false, error: 'Could not get position' };
+      }
+
+      if (type === 'start') {
+        this.route.setStartPoint(position);
+      } else if (type === 'via') {
+        this.route.addStop(position, index);
+      } else {
+        this.route.setEndPoint(position);
+      }
+
+      return {
+        ...await this.rebuildRoute(),
+        location: `${position.lat.toFixed(4)}, ${position.lng.toFixed(4)}`
+      };
+    }
+
+    /**
+     * Capture the route from the Google Maps directions on this page
+     * Adopts the speed mode matching the directions' travel mode.
+     */
+    async captureRoute() {
+      if (this.isPlaying) {
+        this.stop();
+      }
+
+      try {
+        await this.route.captureFromGoogleDirections();
+        this.libraryRouteId = null;
+      } catch (error) {
+        console.warn('[StreetFlix] Could not capture route:', error.message);
+        return { success: false, error: `Could not capture route: ${error.message}` };
+      }
+
+      const speed = MapsURL.toSpeedMode(this.route.travelMode);
+      if (speed) {
+        this.speed = speed;
+        this.updateSpacing();
+      }
+      this.updateFloatingUI();
+
+      return {
+        success: true,
+        speed: this.speed,
+        routedBy: this.route.routedBy,
+        ...this.route.getInfo()
+      };
+    }
+
+    /**
+     * Rebuild the route after the stops changed
+     */
+    async rebuildRoute() {
+      if (this.isPlaying) {
+        this.stop();
+      }
+
+      this.libraryRouteId = null;
+      const built = await this.route.buildRoute(RoutingProviders.getProfile(this.speed));
+      if (!built) {
+        // Not enough stops left for a route
+        this.route.setSegments([]);
+      }
+
+      this.updateFloatingUI();
+
+      return {
+        success: true,
+        routedBy: this.route.routedBy,
+        ...this.route.getInfo()
+      };
+    }
+
+    /**
+     * Change speed mode
+     * A route built from start/end points is re-routed with the matching
+     * profile (foot, bike, car) unless playback is running.
+     */
+    async setSpeed(speed) {
+      this.speed = speed;
+      this.updateSpacing();
+      this.updateFloatingUI();
+
+      const profile = RoutingProviders.getProfile(speed);
+      if (!this.isPlaying && this.route.routeProfile && this.route.routeProfile !== profile) {
+        await this.route.buildRoute(profile);
+        return { success: true, rerouted: true, ...this.route.getInfo() };
+      }
+
+      return { success: true };
+    }
+
+    /**
+     * Save the route, position and speed so the trip survives a reload
+     * The route is stored apart and only rewritten when it changes; the
+     * regular saves just update the position. Skipped when nothing changed.
+     */
+    saveSession() {
+      if (!this.route.hasRoute()) return;
+
+      const session = {
+        distance: this.route.getDistanceTraveled(),
+        progress: this.route.getProgress(),
+        direction: this.route.direction,
+        speed: this.speed,
+        libraryRouteId: this.libraryRouteId
+      };
+
+      const routeKey = this.route.getChangeKey();
+      const key = JSON.stringify(session);
+      if (key === this.sessionKey && routeKey === this.sessionRouteKey) return;
+      this.sessionKey = key;
+
+      // A new route replaces the trip that was on offer
+      if (this.savedSession) {
+        this.savedSession = null;
+        this.dismissResumeOffer();
+      }
+
+      const items = { streetflixSession: { ...session, savedAt: Date.now() } };
+      if (routeKey !== this.sessionRouteKey) {
+        this.sessionRouteKey = routeKey;
+        items.streetflixSessionRoute = this.route.toJSON();
+      }
+      chrome.storage.local.set(items).catch(() => {});
+    }
+
+    /**
+     * Read the last session and offer to resume it once in Street View
+     */
+    async loadSavedSession() {
+      const { streetflixSession: session, streetflixSessionRoute: route } =
+        await chrome.storage.local.get(['streetflixSession', 'streetflixSessionRoute']);
+      if (!route || !(session?.progress > 0 && session.progress < 100)) return;
+
+      this.savedSession = { ...session, route };
+      console.log(`[StreetFlix] Found a trip to resume at ${Math.round(session.progress)}%`);
+
+      if (this.streetView.isInStreetView()) {
+        this.offerResume();
+      } else {
+        const onReady = () => {
+          this.streetView.off('ready', onReady);
+          this.offerResume();
+        };
+        this.streetView.on('ready', onReady);
+      }
+    }
+
+    /**
+     * Show the resume toast for the saved session
+     */
+    offerResume() {
+      if (!this.savedSession) return;
+
+      const { progress, route } = this.savedSession;
+      const name = route.name ? ` (${route.name})` : '';
+      this.resumeToast = this.showToast(`Resume trip at ${Math.round(progress)}%${name}?`, [
+        { label: '▶️ Resume', onClick: () => this.resumeSession() }
+      ]);
+    }
+
+    /**
+     * Remove the resume toast if it is still showing
+     */
+    dismissResumeOffer() {
+      this.resumeToast?.remove();
+      this.resumeToast = null;
+    }
+
+    /**
+     * Restore the saved session and continue playing from its position
+     */
+    resumeSession() {
+      const session = this.savedSession;
+      if (!session) {
+        return { success: false, error: 'No trip to resume' };
+      }
+
+      this.savedSession = null;
+      this.dismissResumeOffer();
+
+      if (this.isPlaying) {
+        this.stop();
+      }
+
+      if (session.speed && this.speeds[session.speed]) {
+        this.speed = session.speed;
+        this.updateSpacing();
+      }
+
+      this.route.fromJSON(session.route);
+      if (session.direction) {
+        this.route.setDirection(session.direction);
+      }
+      this.route.jumpTo(this.route.getIndexAtDistance(session.distance));
+      this.libraryRouteId = session.libraryRouteId || null;
+
+      console.log('[StreetFlix] Resuming trip');
+      this.showFloatingUI(true);
+
+      // Play once there, unless the trip was stopped or replaced meanwhile
+      const resume = this.pendingResume = { routeKey: this.route.getChangeKey() };
+      this.moveToCurrentWaypoint()
+        .then(() => {
+          if (this.pendingResume !== resume || this.route.getChangeKey() !== resume.routeKey) return;
+          this.pendingResume = null;
+          this.play();
+        })
+        .catch(error => {
+          if (this.pendingResume === resume) this.pendingResume = null;
+          console.warn('[StreetFlix] Could not move to the resumed position:', error.message);
+        });
+
+      return { success: true, speed: this.speed, ...this.route.getInfo() };
+    }
+
+    /**
+     * Snap waypoints to panoramas and report stretches without coverage
+     */
+    async snapRoute() {
+      if (!this.route.hasRoute()) {
+        return { success: false, error: 'No route to snap' };
+      }
+      if (!this.cache.canResolvePanoramas()) {
+        return { success: false, error: 'Panorama lookup is not responding' };
+      }
+      if (this.isSnapping) {
+        return { success: false, error: 'Already checking coverage' };
+      }
+
+      this.isSnapping = true;
+      this.snapProgress = 0;
+      this.showFloatingUI(true);
+      this.updateFloatingUI();
+
+      let report;
+      try {
+        report = await this.route.snapToPanoramas(
+          point => this.cache.findNearestPanorama(point),
+          progress => {
+            this.snapProgress = progress;
+            this.updateFloatingUI();
+          }
+        );
+      } catch (error) {
+        return { success: false, error: error.message };
+      } finally {
+        this.isSnapping = false;
+        this.updateFloatingUI();
+      }
+
+      if (!report.resolved) {
+        return { success: false, error: 'No Street View panoramas found along the route' };
+      }
+
+      if (report.failed) {
+        console.warn(`[StreetFlix] ${report.failed} waypoint(s) could not be looked up and were kept as they are`);
+      }
+
+      if (report.gaps.length) {
+        const sections = report.gaps.length === 1 ? '1 section' : `${report.gaps.length} sections`;
+        this.showToast(`⚠️ ${sections} without Street View (${this.formatDistance(report.uncoveredDistance)}) will be skipped`, [], 6000);
+      }
+
+      this.sendStatusUpdate();
+      return { success: true, ...this.route.getInfo() };
+    }
+
+    /**
+     * Resample the route at the waypoint spacing for the current speed
+     */
+    updateSpacing() {
+      this.route.setSpacing(this.spacings[this.speed] || this.spacings.cycling);
+    }
+
+    /**
+     * Build a link that reopens the current route, speed and settings
+     */
+    getShareLink() {
+      const settings = {};
+      Object.keys(this.sharedSettings).forEach(key => {
+        settings[key] = this.settings[key];
+      });
+
+      return ShareLink.build({
+        ...this.route.getShareData(),
+        speed: this.speed,
+        settings
+      }, this.route.getHeadingToNext());
+    }
+
+    /**
+     * Load the route from a share link and offer to start playback
+     */
+    loadSharedRoute() {
+      const hash = ShareLink.consumePending();
+      if (!hash) return;
+
+      let shared;
+      try {
+        shared = ShareLink.decode(hash);
+      } catch (error) {
+        console.warn('[StreetFlix] Invalid share link:', error.message);
+        this.showToast(`Could not open shared route: ${error.message}`);
+        return;
+      }
+
+      if (!shared) return;
+
+      if (shared.speed && this.speeds[shared.speed]) {
+        this.speed = shared.speed;
+        this.updateSpacing();
+      }
+
+      this.route.loadShareData(shared);
+      this.libraryRouteId = null;
+
+      if (shared.settings) {
+        const settings = {};
+        Object.entries(this.sharedSettings).forEach(([key, isValid]) => {
+          if (Object.hasOwn(shared.settings, key) && isValid(shared.settings[key])) {
+            settings[key] = shared.settings[key];
+          }
+        });
+        this.updateSettings(settings);
+      }
+
+      console.log('[StreetFlix] Loaded shared route');
+      this.showFloatingUI(true);
+      this.updateFloatingUI();
+      this.sendStatusUpdate();
+
+      const distance = (this.route.totalDistance / 1000).toFixed(1);
+      this.showToast(`Shared route loaded: ${shared.name || `${distance} km trip`}`, [
+        { label: '▶️ Start trip', onClick: () => this.play() }
+      ]);
+    }
+
+    /**
+     * Show a toast notification
+     * Toasts with actions stay until an action or the close button is clicked.
+     * @param {string} message - Text to show
+     * @param {Array} actions - Optional [{label, onClick}]
+     * @param {number} duration - Auto-hide delay in ms for plain toasts
+     */
+    showToast(message, actions = [], duration = 4000) {
+      const toast = DOMHelpers.createElement('div', { className: 'streetflix-toast' }, message);
+
+      const dismiss = () => {
+        toast.classList.add('fade-out');
+        setTimeout(() => toast.remove(), 300);
+      };
+
+      if (actions.length) {
+        actions.forEach(action => {
+          toast.appendChild(DOMHelpers.createElement('button', {
+            className: 'streetflix-toast-action',
+            onClick: () => {
+              dismiss();
+              action.onClick();
+            }
+          }, action.label));
+        });
+
+        toast.appendChild(DOMHelpers.createElement('button', {
+          className: 'streetflix-toast-action streetflix-toast-close',
+          onClick: dismiss
+        }, '✕'));
+      } else {
+        setTimeout(dismiss, duration);
+      }
+
+      document.body.appendChild(toast);
+      return toast;
+    }
+
     /**
      * Set up keyboard shortcuts
      */
@@ -158,6 +801,11 @@
           return;
         }
 
+        // Leave browser shortcuts (Ctrl+P, Ctrl+T, Ctrl+W, ...) alone
+        if (e.ctrlKey || e.metaKey || e.altKey) {
+          return;
+        }
+
         switch (e.code) {
           case 'Space':
             e.preventDefault();
@@ -201,6 +849,49 @@
           case 'KeyF':
             this.toggleFullscreen();
             break;
+
+          case 'KeyN':
+            this.skipChapter(() => this.route.nextChapter());
+            break;
+
+          case 'KeyP':
+            this.skipChapter(() => this.route.previousChapter());
+            break;
+
+          case 'KeyK':
+            if (this.route.hasRoute()) {
+              this.addKeyframe();
+              this.showToast('🎥 Camera keyframe added', [], 2000);
+            }
+            break;
+
+          case 'KeyT':
+            if (this.addTarget().success) {
+              this.showToast('📍 Look-at target pinned', [], 2000);
+            }
+            break;
+
+          case 'KeyH':
+            this.updateSettings({ showHud: !this.settings.showHud });
+            this.saveSettings({ showHud: this.settings.showHud });
+            this.updateHud();
+            break;
+
+          case 'KeyW':
+            if (this.isWandering && this.isPlaying) {
+              this.stop();
+            } else {
+              this.startWander();
+            }
+            break;
+
+          case 'KeyB':
+            if (this.route.hasRoute()) {
+              const index = this.route.addChapter();
+              this.updateFloatingUI();
+              this.showToast(`🔖 ${this.route.chapters[index].name} added`);
+            }
+            break;
         }
       });
     }
@@ -237,6 +928,7 @@
       const progress = DOMHelpers.createElement('div', {
         id: 'sf-progress-container',
         style: {
+          position: 'relative',
           width: '200px',
           height: '6px',
           backgroundColor: '#333',
@@ -256,6 +948,37 @@
       });
       progress.appendChild(progressBar);
 
+      // Scrubber: a taller hit area around the bar, with a seek tooltip
+      const scrubber = DOMHelpers.createElement('div', {
+        id: 'sf-scrubber',
+        style: {
+          position: 'relative',
+          padding: '8px 0',
+          cursor: 'pointer',
+          touchAction: 'none'
+        }
+      }, progress);
+
+      const scrubTooltip = DOMHelpers.createElement('div', {
+        id: 'sf-scrub-tooltip',
+        style: {
+          position: 'absolute',
+          bottom: '22px',
+          left: '0',
+          transform: 'translateX(-50%)',
+          backgroundColor: 'rgba(0, 0, 0, 0.85)',
+          color: '#fff',
+          fontSize: '11px',
+          padding: '4px 8px',
+          borderRadius: '4px',
+          whiteSpace: 'nowrap',
+          pointerEvents: 'none',
+          display: 'none'
+        }
+      });
+      scrubber.appendChild(scrubTooltip);
+      this.setupScrubber(scrubber, progress, progressBar, scrubTooltip);
+
       // Play/Pause button
       const playBtn = DOMHelpers.createElement('button', {
         id: 'sf-play-btn',
@@ -289,47 +1012,309 @@
         onClick: () => this.stop()
       }, '⏹️');
 
-      // Speed indicator
-      const speedLabel = DOMHelpers.createElement('span', {
-        id: 'sf-speed',
-        style: { color: '#999', fontSize: '12px' }
-      }, '🚴 Bike');
+      // Repeat mode toggle
+      const repeatBtn = DOMHelpers.createElement('button', {
+        id: 'sf-repeat-btn',
+        style: {
+          backgroundColor: '#333',
+          border: 'none',
+          borderRadius: '8px',
+          padding: '8px 12px',
+          cursor: 'pointer',
+          fontSize: '14px',
+          color: '#fff'
+        },
+        onClick: () => this.cycleRepeatMode()
+      }, '➡️');
+
+      // Current leg name (multi-leg routes only)
+      const legLabel = DOMHelpers.createElement('span', {
+        id: 'sf-leg',
+        style: {
+          color: '#fff',
+          fontSize: '12px',
+          maxWidth: '160px',
+          overflow: 'hidden',
+          textOverflow: 'ellipsis',
+          whiteSpace: 'nowrap',
+          display: 'none'
+        }
+      });
+
+      // Speed indicator
+      const speedLabel = DOMHelpers.createElement('span', {
+        id: 'sf-speed',
+        style: { color: '#999', fontSize: '12px' }
+      }, '🚴 Bike');
+
+      ui.appendChild(logo);
+      ui.appendChild(scrubber);
+      ui.appendChild(legLabel);
+      ui.appendChild(playBtn);
+      ui.appendChild(stopBtn);
+      ui.appendChild(repeatBtn);
+      ui.appendChild(speedLabel);
+
+      document.body.appendChild(ui);
+      this.floatingUI = ui;
+    }
+
+    /**
+     * Update floating UI
+     */
+    updateFloatingUI() {
+      if (!this.floatingUI) return;
+
+      const progressBar = document.getElementById('sf-progress-bar');
+      const playBtn = document.getElementById('sf-play-btn');
+      const speedLabel = document.getElementById('sf-speed');
+      const legLabel = document.getElementById('sf-leg');
+      const repeatBtn = document.getElementById('sf-repeat-btn');
+
+      if (progressBar) {
+        progressBar.style.width = `${this.route.getProgress()}%`;
+      }
+
+      this.renderChapterTicks();
+
+      if (legLabel && this.isWandering) {
+        legLabel.style.display = 'inline';
+        legLabel.textContent = `🧭 Wandering · ${this.formatDistance(this.wanderer.distance)}`;
+        legLabel.title = `${this.formatDistance(this.wanderer.getDistanceFromOrigin())} from the start`;
+      } else if (legLabel) {
+        const leg = this.route.getCurrentLeg();
+        const showLeg = this.route.legs.length > 1 && leg;
+        legLabel.style.display = showLeg ? 'inline' : 'none';
+        if (showLeg) {
+          legLabel.textContent = leg.name || `Leg ${leg.index + 1}/${this.route.legs.length}`;
+          legLabel.title = leg.description || '';
+        }
+      }
+
+      if (playBtn) {
+        playBtn.textContent = this.isPlaying ? '⏸️' : '▶️';
+      }
+
+      if (repeatBtn) {
+        const mode = this.repeatModes[this.settings.repeatMode] || this.repeatModes.off;
+        repeatBtn.textContent = mode.icon;
+        repeatBtn.title = `${mode.label} (click to change)`;
+      }
+
+      if (speedLabel) {
+        const icons = { walking: '🚶', cycling: '🚴', driving: '🚗', flying: '✈️' };
+        const labels = { walking: 'Walk', cycling: 'Bike', driving: 'Drive', flying: 'Fly' };
+        const effective = this.isPlaying ? this.getEffectiveSpeed() : null;
+        const kmh = effective ?? this.getTargetSpeed();
+        if (this.isSnapping) {
+          speedLabel.textContent = `🔍 Checking coverage ${Math.round(this.snapProgress * 100)}%`;
+        } else if (this.isBuffering) {
+          const buffer = this.getBufferHealth();
+          speedLabel.textContent = `⏳ Buffering ${buffer.ready}/${buffer.total}`;
+        } else {
+          speedLabel.textContent = `${icons[this.speed]} ${labels[this.speed]} · ${kmh.toFixed(kmh < 10 ? 1 : 0)} km/h`;
+        }
+        speedLabel.title = effective !== null ?
+          `Effective speed (target ${this.getTargetSpeed()} km/h)` :
+          'Target speed';
+      }
+    }
+
+    /**
+     * Make the progress bar seekable by clicking or dragging
+     * The bar previews the position while dragging; the view only moves
+     * once, when the pointer is released.
+     */
+    setupScrubber(scrubber, track, bar, tooltip) {
+      let dragging = false;
+      let resumeAfterSeek = false;
+
+      const getPercent = (e) => {
+        const rect = track.getBoundingClientRect();
+        return Math.max(0, Math.min(100, ((e.clientX - rect.left) / rect.width) * 100));
+      };
+
+      const showTooltip = (percent) => {
+        if (!this.route.hasRoute()) return;
+
+        const index = this.route.getIndexAtPercent(percent);
+        const chapter = this.route.getChapterAt(index);
+        const point = this.route.getWaypoint(index);
+        const where = chapter ? `🔖 ${chapter.name}` : `${point.lat.toFixed(5)}, ${point.lng.toFixed(5)}`;
+
+        tooltip.textContent = `${this.formatDistance(this.route.getDistanceAtIndex(index))} · ${where}`;
+        tooltip.style.left = `${track.offsetLeft + (percent / 100) * track.offsetWidth}px`;
+        tooltip.style.display = 'block';
+      };
+
+      scrubber.addEventListener('pointerdown', (e) => {
+        if (!this.route.hasRoute() || e.button !== 0) return;
+
+        dragging = true;
+        scrubber.setPointerCapture(e.pointerId);
+
+        // Hold playback while dragging and pick it up again after the seek
+        resumeAfterSeek = this.isPlaying;
+        if (this.isPlaying) {
+          this.pause();
+        }
+
+        bar.style.transition = 'none';
+        const percent = getPercent(e);
+        bar.style.width = `${percent}%`;
+        showTooltip(percent);
+      });
+
+      scrubber.addEventListener('pointermove', (e) => {
+        const percent = getPercent(e);
+        if (dragging) {
+          bar.style.width = `${percent}%`;
+        }
+        showTooltip(percent);
+      });
 
-      ui.appendChild(logo);
-      ui.appendChild(progress);
-      ui.appendChild(playBtn);
-      ui.appendChild(stopBtn);
-      ui.appendChild(speedLabel);
+      const endDrag = (e, seek) => {
+        if (!dragging) return;
+        dragging = false;
+        bar.style.transition = 'width 0.3s ease';
+        tooltip.style.display = 'none';
 
-      document.body.appendChild(ui);
-      this.floatingUI = ui;
+        if (seek) {
+          this.seekToPercent(getPercent(e), resumeAfterSeek);
+        } else {
+          this.updateFloatingUI();
+        }
+      };
+
+      scrubber.addEventListener('pointerup', (e) => endDrag(e, true));
+      scrubber.addEventListener('pointercancel', (e) => endDrag(e, false));
+      scrubber.addEventListener('pointerleave', () => {
+        if (!dragging) tooltip.style.display = 'none';
+      });
     }
 
     /**
-     * Update floating UI
+     * Seek to a point along the route with a single transition
+     * @param {number} percent - Position along the route (0-100)
+     * @param {boolean} resume - Start playing again once there
      */
-    updateFloatingUI() {
-      if (!this.floatingUI) return;
-
-      const progressBar = document.getElementById('sf-progress-bar');
-      const playBtn = document.getElementById('sf-play-btn');
-      const speedLabel = document.getElementById('sf-speed');
+    async seekToPercent(percent, resume = false) {
+      this.route.jumpToPercent(percent);
+      await this.moveToCurrentWaypoint();
 
-      if (progressBar) {
-        progressBar.style.width = `${this.route.getProgress()}%`;
+      if (resume) {
+        this.play();
       }
+    }
 
-      if (playBtn) {
-        playBtn.textContent = this.isPlaying ? '⏸️' : '▶️';
-      }
+    /**
+     * Move the view to the current waypoint after a jump
+     */
+    async moveToCurrentWaypoint() {
+      this.resetFrameLog();
+      this.camera.resetHeading();
+      this.updateFloatingUI();
+      this.sendProgressUpdate();
 
-      if (speedLabel) {
-        const icons = { walking: '🚶', cycling: '🚴', driving: '🚗', flying: '✈️' };
-        const labels = { walking: 'Walk', cycling: 'Bike', driving: 'Drive', flying: 'Fly' };
-        speedLabel.textContent = `${icons[this.speed]} ${labels[this.speed]}`;
+      const waypoint = this.route.getCurrentWaypoint();
+      if (waypoint) {
+        const view = this.getCameraView(this.route.currentIndex);
+        await this.transitions.transitionTo(waypoint, view.heading, view, this.getTransitionOptions(this.route.currentIndex));
       }
     }
 
+    /**
+     * Format meters for display
+     */
+    formatDistance(meters) {
+      return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+    }
+
+    /**
+     * Draw a tick on the progress bar for each chapter
+     * Only redraws when the chapters or the route change.
+     */
+    renderChapterTicks() {
+      const container = document.getElementById('sf-progress-container');
+      if (!container) return;
+
+      const lastIndex = this.route.waypoints.length - 1;
+      const key = `${lastIndex}|${this.route.chapters.map(c => `${c.name}@${c.distance}`).join('|')}`;
+      if (key === this.chapterTicksKey) return;
+      this.chapterTicksKey = key;
+
+      container.querySelectorAll('.sf-chapter-tick').forEach(tick => tick.remove());
+      if (lastIndex < 1) return;
+
+      this.route.chapters.forEach((chapter, idx) => {
+        const percent = (this.route.getChapterWaypoint(idx) / lastIndex) * 100;
+        const tick = DOMHelpers.createElement('div', {
+          className: 'sf-chapter-tick',
+          title: chapter.name,
+          style: {
+            position: 'absolute',
+            top: '0',
+            left: `calc(${percent}% - 1px)`,
+            width: '2px',
+            height: '100%',
+            backgroundColor: '#fff',
+            pointerEvents: 'none'
+          }
+        });
+        container.appendChild(tick);
+      });
+    }
+
+    /**
+     * Create the performance HUD (hidden unless enabled in settings)
+     */
+    createHud() {
+      this.hud = DOMHelpers.createElement('pre', {
+        id: 'sf-hud',
+        style: {
+          position: 'fixed',
+          top: '80px',
+          left: '12px',
+          margin: '0',
+          padding: '8px 10px',
+          backgroundColor: 'rgba(0, 0, 0, 0.75)',
+          color: '#8f8',
+          borderRadius: '6px',
+          font: '11px/1.5 ui-monospace, Menlo, monospace',
+          pointerEvents: 'none',
+          zIndex: '10000',
+          display: 'none'
+        }
+      });
+
+      document.body.appendChild(this.hud);
+      this.updateHud();
+    }
+
+    /**
+     * Refresh the HUD with the last frame and session statistics
+     */
+    updateHud() {
+      if (!this.hud) return;
+
+      this.hud.style.display = this.settings.showHud ? 'block' : 'none';
+      if (!this.settings.showHud) return;
+
+      const summary = this.telemetry.getSummary();
+      const last = this.telemetry.frames[this.telemetry.frames.length - 1];
+      const ms = value => Number.isFinite(value) ? `${Math.round(value)}ms` : '–';
+      const percent = value => `${Math.round(value * 100)}%`;
+
+      const lookups = summary.cache.hits + summary.cache.misses;
+      this.hud.textContent = [
+        `FPS        ${summary.fps.toFixed(2)}`,
+        `Transition ${ms(last?.transition)} / ${ms(last?.budget)} (avg ${ms(summary.transition.avg)}, p95 ${ms(summary.transition.p95)})`,
+        `Load       ${ms(last?.load)}${last?.loadTimedOut ? ' timed out' : ''} (avg ${ms(summary.load.avg)}, ${summary.load.timeouts} timeouts)`,
+        `Cache      ${last ? (last.cacheHit ? 'hit' : 'miss') : '–'} (${percent(summary.cache.hitRate)} of ${lookups}, ${this.cache.getStats().loading} loading)`,
+        `Dropped    ${summary.dropped}/${summary.frames} (${percent(summary.droppedRate)})`
+      ].join('\n');
+    }
+
     /**
      * Show/hide floating UI
      */
@@ -343,18 +1328,49 @@
      * Start playback
      */
     async play() {
+      if (this.isWandering) {
+        this.resumeWander();
+        return;
+      }
+
       if (!this.route.hasRoute()) {
         console.warn('[StreetFlix] No route set');
         return;
       }
 
-      if (this.isPlaying) {
+      if (this.isPlaying || this.isSnapping) {
         return;
       }
 
+      // Line the route up with real panoramas before the first run
+      if (this.settings.snapPanoramas && !this.route.snapInfo && this.cache.canResolvePanoramas()) {
+        const result = await this.snapRoute();
+        if (!result.success) {
+          console.warn('[StreetFlix] Playing without snapping:', result.error);
+        }
+      }
+
       console.log('[StreetFlix] Starting playback');
+
+      // Record the play in the route library
+      if (this.libraryRouteId) {
+        chrome.runtime.sendMessage({ type: 'markRoutePlayed', id: this.libraryRouteId }).catch(() => {});
+      }
+
+      // Start over if the last run finished
+      if (this.route.isComplete()) {
+        this.route.reset();
+      }
+
+      // A new session unless resuming from pause
+      if (!this.isPaused) {
+        this.telemetry.reset();
+      }
+
       this.isPlaying = true;
       this.isPaused = false;
+      this.resetFrameLog();
+      this.camera.resetHeading();
       this.showFloatingUI(true);
       this.updateFloatingUI();
       this.sendStatusUpdate();
@@ -370,37 +1386,421 @@
         return;
       }
 
+      const frameStart = performance.now();
+      if (this.lastFrame) {
+        this.recordFrame(this.lastFrame.distance, frameStart - this.lastFrame.start);
+      }
+      this.lastFrame = null;
+
       const current = this.route.getCurrentWaypoint();
       const next = this.route.getNextWaypoint();
 
       if (!next) {
-        console.log('[StreetFlix] Route complete');
-        this.stop();
+        this.handleRouteEnd();
         return;
       }
 
       // Pre-cache upcoming panoramas
-      this.cache.precacheRoute(this.route.waypoints, this.route.currentIndex);
+      this.cache.precacheRoute(this.route.waypoints, this.route.currentIndex, this.route.direction);
+
+      // Hold until they are ready, like a video player buffering
+      if (!this.isBufferReady()) {
+        this.setBuffering(true);
+        this.updateFloatingUI();
+        this.sendProgressUpdate();
+        this.playbackTimer = setTimeout(() => this.advanceFrame(), 250);
+        return;
+      }
+      this.setBuffering(false);
 
-      // Calculate heading
-      const heading = this.settings.autoHeading ? this.route.getHeadingToNext() : null;
+      // Calculate heading and camera
+      const nextIndex = this.route.currentIndex + this.route.direction;
+      const view = this.getCameraView(nextIndex);
 
       // Transition to next point
-      const success = await this.transitions.transitionTo(next, heading);
+      const distance = GeoUtils.calculateDistance(current, next);
+      const options = this.getTransitionOptions(nextIndex, distance);
+      const cacheHit = this.cache.recordArrival(next);
+      const transitionStart = performance.now();
+      this.transitions.takeTiming();
+
+      // A link walk that runs out of time has not reached the waypoint yet:
+      // the frame still counts, but the next one aims at the same waypoint
+      let success, arrived;
+      if (this.settings.navigationMode === 'links') {
+        const walk = await this.walkTo(next, view, options);
+        arrived = walk.arrived;
+        success = walk.arrived || walk.timedOut;
+      } else {
+        success = arrived = await this.transitions.transitionTo(next, view.heading, view, options);
+      }
+
+      const timing = this.transitions.takeTiming();
+      this.telemetry.recordFrame({
+        index: nextIndex,
+        distance: Math.round(distance),
+        budget: Math.round(this.getFrameDuration(distance)),
+        transition: Math.round(performance.now() - transitionStart),
+        load: timing ? Math.round(timing.load) : null,
+        loadTimedOut: timing?.loadTimedOut ?? false,
+        style: timing?.style ?? null,
+        cacheHit,
+        success
+      });
+      this.updateHud();
 
-      if (success) {
+      if (arrived) {
         this.route.advance();
+        this.lastFrame = { start: frameStart, distance };
         this.updateFloatingUI();
         this.sendProgressUpdate();
       }
 
-      // Schedule next frame
+      // Schedule next frame, counting the time the transition already took
+      if (this.isPlaying && !this.isPaused) {
+        const elapsed = performance.now() - frameStart;
+        const delay = Math.max(0, this.getFrameDuration(distance) - elapsed);
+        this.playbackTimer = setTimeout(() => this.advanceFrame(), delay);
+      }
+    }
+
+    /**
+     * Start exploring from the current panorama without a route
+     */
+    startWander() {
+      if (!this.streetView.isInStreetView()) {
+        return { success: false, error: 'Open Street View first' };
+      }
+
+      if (this.isPlaying || this.isPaused) {
+        this.stop();
+      }
+
+      this.wanderer.setRadius(this.settings.wanderRadius);
+      if (!this.wanderer.start()) {
+        return { success: false, error: 'Could not get position' };
+      }
+
+      console.log('[StreetFlix] Wandering');
+      this.isWandering = true;
+      this.resumeWander();
+      return { success: true };
+    }
+
+    /**
+     * Start or continue the wander loop
+     */
+    resumeWander() {
+      if (this.isPlaying) return;
+
+      this.isPlaying = true;
+      this.isPaused = false;
+      this.resetFrameLog();
+      this.showFloatingUI(true);
+      this.updateFloatingUI();
+      this.sendStatusUpdate();
+
+      this.wanderFrame();
+    }
+
+    /**
+     * Take the next wander step, paced like route playback
+     */
+    async wanderFrame() {
+      if (!this.isPlaying || this.isPaused || !this.isWandering) {
+        return;
+      }
+
+      const frameStart = performance.now();
+      if (this.lastFrame) {
+        this.recordFrame(this.lastFrame.distance, frameStart - this.lastFrame.start);
+      }
+      this.lastFrame = null;
+
+      const step = await this.wanderer.step();
+      if (!this.isPlaying || !this.isWandering) return;
+
+      if (!step) {
+        console.warn('[StreetFlix] Wander stopped: no link to follow');
+        this.showToast('🧭 Nowhere left to go from here');
+        this.pause();
+        return;
+      }
+
+      if (this.settings.autoHeading) {
+        await this.streetView.setPov({ heading: step.heading, pitch: 0 });
+      }
+
+      this.lastFrame = { start: frameStart, distance: step.distance };
+      this.updateFloatingUI();
+
+      const elapsed = performance.now() - frameStart;
+      const delay = Math.max(0, this.getFrameDuration(step.distance) - elapsed);
+      this.playbackTimer = setTimeout(() => this.wanderFrame(), delay);
+    }
+
+    /**
+     * Get how many of the next panoramas are ready
+     * Points with no panorama count as ready so they cannot stall playback.
+     * Without a working panorama lookup nothing can be measured.
+     * @returns {Object} {ready, total, available}
+     */
+    getBufferHealth() {
+      if (!this.cache.canResolvePanoramas()) {
+        return { ready: 0, total: 0, available: false };
+      }
+
+      const points = this.getBufferPoints();
+      const ready = points.filter(point => this.isPointReady(point)).length;
+
+      return { ready, total: points.length, available: true };
+    }
+
+    /**
+     * Get the next waypoints playback buffers, in playback order
+     */
+    getBufferPoints() {
+      const points = [];
+      for (let i = 1; i <= this.bufferAhead; i++) {
+        const point = this.route.getWaypoint(this.route.currentIndex + i * this.route.direction);
+        if (!point) break;
+        points.push(point);
+      }
+      return points;
+    }
+
+    /**
+     * Check whether playback need not wait on a waypoint's panorama
+     */
+    isPointReady(point) {
+      return this.cache.isCached(point) || this.cache.hasFailed(point);
+    }
+
+    /**
+     * Check whether playback can move on
+     */
+    isBufferReady() {
+      const { ready, total } = this.getBufferHealth();
+      if (ready === total) return true;
+
+      // Give up on what is still missing, so later frames do not wait on it again
+      if (this.isBuffering && performance.now() - this.bufferingSince > this.bufferTimeout) {
+        console.warn(`[StreetFlix] Buffering timed out with ${ready}/${total} panoramas ready`);
+        this.getBufferPoints()
+          .filter(point => !this.isPointReady(point))
+          .forEach(point => this.cache.markFailed(point));
+        return true;
+      }
+      return false;
+    }
+
+    /**
+     * Enter or leave the buffering state and update the indicator
+     */
+    setBuffering(buffering) {
+      if (buffering === this.isBuffering) return;
+
+      this.isBuffering = buffering;
+      this.bufferingSince = buffering ? performance.now() : 0;
+      document.body.classList.toggle('streetflix-loading', buffering);
+
+      if (buffering) {
+        console.log('[StreetFlix] Buffering...');
+      }
+
+      this.updateFloatingUI();
+    }
+
+    /**
+     * Stop at the end of the route, or keep going in a repeat mode
+     */
+    handleRouteEnd() {
+      switch (this.settings.repeatMode) {
+        case 'loop':
+          console.log('[StreetFlix] Route complete, looping');
+          this.restartRoute();
+          break;
+
+        case 'pingpong':
+          console.log('[StreetFlix] Route complete, turning around');
+          this.route.reverseDirection();
+          this.camera.resetHeading();
+          this.advanceFrame();
+          break;
+
+        default:
+          console.log('[StreetFlix] Route complete');
+          this.stop();
+      }
+    }
+
+    /**
+     * Jump back to the start of the route and continue playing
+     */
+    async restartRoute() {
+      this.route.reset();
+      this.resetFrameLog();
+      this.camera.resetHeading();
+
+      const view = this.getCameraView(this.route.currentIndex);
+      await this.transitions.transitionTo(this.route.getCurrentWaypoint(), view.heading, view,
+        this.getTransitionOptions(this.route.currentIndex));
+      this.updateFloatingUI();
+      this.sendProgressUpdate();
+
+      // Hold on the first frame before moving off again
       if (this.isPlaying && !this.isPaused) {
-        const interval = this.speeds[this.speed] || this.speeds.cycling;
-        this.playbackTimer = setTimeout(() => this.advanceFrame(), interval);
+        this.playbackTimer = setTimeout(() => this.advanceFrame(), 1000);
+      }
+    }
+
+    /**
+     * Get the playback direction a run starts in for the repeat mode
+     */
+    getBaseDirection() {
+      return this.settings.repeatMode === 'reverse' ? -1 : 1;
+    }
+
+    /**
+     * Switch to the next repeat mode and remember it
+     */
+    cycleRepeatMode() {
+      const modes = Object.keys(this.repeatModes);
+      const next = modes[(modes.indexOf(this.settings.repeatMode) + 1) % modes.length];
+
+      this.updateSettings({ repeatMode: next });
+      this.saveSettings({ repeatMode: next });
+      this.updateFloatingUI();
+      this.sendStatusUpdate();
+    }
+
+    /**
+     * Walk the panorama link graph to a waypoint
+     * The walk gets the frame's time budget. When that runs out the next
+     * walk carries on toward the same waypoint from where this one got to.
+     * When no link leads on, playback pauses instead of jumping ahead.
+     * @param {Object} options - Transition options; {budget} limits the walk (ms)
+     * @returns {Promise<Object>} The navigator's {arrived, steps, timedOut, reason?}
+     */
+    async walkTo(target, view, options = {}) {
+      const deadline = options.budget ? performance.now() + options.budget : Infinity;
+      const result = await this.navigator.navigateTo(target, deadline);
+
+      if (!result.arrived && !result.timedOut) {
+        console.warn(`[StreetFlix] Link walk stopped after ${result.steps} step(s): ${result.reason}`);
+        this.pause();
+        this.showToast('🚶 No Street View link leads on from here. Switch Movement to jumping to continue', [], 6000);
+        return result;
+      }
+
+      await this.transitions.setView(view.heading, view);
+      return result;
+    }
+
+    /**
+     * Get the heading and camera for a frame arriving at a waypoint
+     * @param {number} index - Waypoint index the frame shows
+     * @returns {Object} {heading, pitch?, zoom?}
+     */
+    getCameraView(index) {
+      const heading = this.settings.autoHeading ? this.camera.getTravelHeading(this.route.currentIndex) : null;
+      return this.camera.getView(this.route.getDistanceAtIndex(index), heading, this.route.getWaypoint(index));
+    }
+
+    /**
+     * Pin a look-at target
+     * Without a position, pins what the view is looking at a short way ahead.
+     * @param {Object} position - {lat, lng} (optional)
+     * @param {Object} options - {name, radius}
+     */
+    addTarget(position = null, options = {}) {
+      if (!this.route.hasRoute()) {
+        return { success: false, error: 'No route to add a target to' };
+      }
+
+      if (!position) {
+        const here = this.streetView.getPosition();
+        if (!here) {
+          return { success: false, error: 'Could not get position' };
+        }
+        position = GeoUtils.destinationPoint(here, this.streetView.getPov().heading, this.targetPinDistance);
+      }
+
+      const index = this.route.addTarget(position, { name: options.name, radius: options.radius });
+      return { success: true, index };
+    }
+
+    /**
+     * Get transition options for a frame arriving at a waypoint
+     * A chapter's own transition style overrides the setting.
+     * @param {number} index - Waypoint index the frame shows
+     * @param {number} distance - Meters moved by the frame, 0 for a jump
+     */
+    getTransitionOptions(index, distance = 0) {
+      const chapter = this.route.getChapterAt(index);
+      return {
+        style: chapter?.transition || this.settings.transitionStyle,
+        distance,
+        budget: distance ? this.getFrameDuration(distance) : null,
+        travelHeading: this.route.getHeadingToNext()
+      };
+    }
+
+    /**
+     * Add a camera keyframe from the current view at the current waypoint
+     * @returns {number} Index of the new keyframe
+     */
+    addKeyframe() {
+      const view = this.camera.captureView(this.streetView.getPov(), this.route.getHeadingToNext());
+      return this.route.addKeyframe(view);
+    }
+
+    /**
+     * Get the target speed for the current speed mode in km/h
+     */
+    getTargetSpeed() {
+      return this.speeds[this.speed] || this.speeds.cycling;
+    }
+
+    /**
+     * Get how long covering a distance takes at the target speed
+     * @param {number} distance - Meters
+     * @returns {number} Milliseconds
+     */
+    getFrameDuration(distance) {
+      return (distance / (this.getTargetSpeed() / 3.6)) * 1000;
+    }
+
+    /**
+     * Record a completed frame for the effective speed readout
+     */
+    recordFrame(distance, duration) {
+      this.frameLog.push({ distance, duration });
+      if (this.frameLog.length > 10) {
+        this.frameLog.shift();
       }
     }
 
+    /**
+     * Forget recorded frames, e.g. after a pause or a jump
+     */
+    resetFrameLog() {
+      this.frameLog = [];
+      this.lastFrame = null;
+    }
+
+    /**
+     * Get the speed actually achieved over recent frames
+     * @returns {number|null} km/h, or null before enough frames are played
+     */
+    getEffectiveSpeed() {
+      if (this.frameLog.length < 2) return null;
+
+      const distance = this.frameLog.reduce((sum, frame) => sum + frame.distance, 0);
+      const duration = this.frameLog.reduce((sum, frame) => sum + frame.duration, 0);
+      return duration > 0 ? (distance / duration) * 3600 : null;
+    }
+
     /**
      * Pause playback
      */
@@ -408,12 +1808,15 @@
       console.log('[StreetFlix] Paused');
       this.isPaused = true;
       this.isPlaying = false;
+      this.resetFrameLog();
+      this.setBuffering(false);
       
       if (this.playbackTimer) {
         clearTimeout(this.playbackTimer);
         this.playbackTimer = null;
       }
 
+      this.saveSession();
       this.updateFloatingUI();
       this.sendStatusUpdate();
     }
@@ -425,37 +1828,60 @@
       console.log('[StreetFlix] Stopped');
       this.isPlaying = false;
       this.isPaused = false;
+      this.isWandering = false;
+      this.pendingResume = null;
+      this.resetFrameLog();
+      this.setBuffering(false);
 
       if (this.playbackTimer) {
         clearTimeout(this.playbackTimer);
         this.playbackTimer = null;
       }
 
+      this.route.setDirection(this.getBaseDirection());
       this.route.reset();
       this.showFloatingUI(false);
       this.sendStatusUpdate();
     }
 
     /**
-     * Skip forward/backward
+     * Skip forward/backward in the playback direction
      */
     skip(frames) {
+      // Forward is the playback direction, toward the start when reversed
       const newIndex = Math.max(0, Math.min(
         this.route.waypoints.length - 1,
-        this.route.currentIndex + frames
+        this.route.currentIndex + frames * this.route.direction
       ));
       
       this.route.jumpTo(newIndex);
+      this.resetFrameLog();
+      this.camera.resetHeading();
       
       const waypoint = this.route.getCurrentWaypoint();
       if (waypoint) {
-        const heading = this.route.getHeadingToNext();
-        this.transitions.transitionTo(waypoint, heading);
+        const view = this.camera.getView(this.route.getDistanceAtIndex(newIndex), this.route.getHeadingToNext(), waypoint);
+        this.transitions.transitionTo(waypoint, view.heading, view, this.getTransitionOptions(newIndex));
       }
 
       this.updateFloatingUI();
     }
 
+    /**
+     * Jump between chapters and move the view there
+     * @param {Function} jump - Route navigation call, returns whether it moved
+     */
+    skipChapter(jump) {
+      if (!jump()) return;
+
+      const chapter = this.route.getCurrentChapter();
+      if (chapter) {
+        this.showToast(`🔖 ${chapter.name}`, [], 2000);
+      }
+
+      this.moveToCurrentWaypoint();
+    }
+
     /**
      * Speed up
      */
@@ -464,6 +1890,7 @@
       const currentIdx = speedOrder.indexOf(this.speed);
       if (currentIdx < speedOrder.length - 1) {
         this.speed = speedOrder[currentIdx + 1];
+        this.updateSpacing();
         this.updateFloatingUI();
       }
     }
@@ -476,6 +1903,7 @@
       const currentIdx = speedOrder.indexOf(this.speed);
       if (currentIdx > 0) {
         this.speed = speedOrder[currentIdx - 1];
+        this.updateSpacing();
         this.updateFloatingUI();
       }
     }
@@ -491,16 +1919,56 @@
       }
     }
 
+    /**
+     * Remember settings changed from the page
+     * Only the given keys are written, so settings a share link applied for
+     * this session do not become the viewer's preferences.
+     * @param {Object} settings - Changed settings
+     */
+    async saveSettings(settings) {
+      const stored = await chrome.storage.local.get(['streetflixSettings']);
+      await chrome.storage.local.set({
+        streetflixSettings: { ...stored.streetflixSettings, ...settings }
+      });
+    }
+
     /**
      * Update settings
      */
     updateSettings(settings) {
+      const previousMode = this.settings.repeatMode;
       Object.assign(this.settings, settings);
+
+      if (this.route) {
+        this.route.setRoutingProvider(RoutingProviders.create(this.settings.routingProvider, {
+          endpoint: this.settings.routingEndpoint
+        }));
+
+        if (this.settings.repeatMode !== previousMode) {
+          this.route.setDirection(this.getBaseDirection());
+
+          // A stopped route starts its next run from the matching end
+          if (!this.isPlaying && !this.isPaused) {
+            this.route.reset();
+          }
+        }
+      }
+      
+      if (this.camera) {
+        this.camera.setLookAhead(this.settings.headingLookAhead);
+      }
+
+      this.updateHud();
       
       if (this.transitions) {
+        // Partial updates must not clear the transition settings
         this.transitions.updateSettings({
-          enabled: settings.smoothTransitions,
-          duration: settings.transitionSpeed
+          enabled: this.settings.smoothTransitions,
+          duration: this.settings.transitionSpeed,
+          style: this.settings.transitionStyle,
+          easing: this.settings.transitionEasing,
+          easingBezier: Easing.parseBezier(this.settings.transitionBezier),
+          autoTiming: this.settings.autoTransitionTiming
         });
       }
     }
@@ -513,10 +1981,15 @@
         inStreetView: this.streetView?.isInStreetView() ?? false,
         isPlaying: this.isPlaying,
         isPaused: this.isPaused,
+        isWandering: this.isWandering,
         progress: this.route?.getProgress() ?? 0,
         speed: this.speed,
         hasRoute: this.route?.hasRoute() ?? false,
-        routeInfo: this.route?.getInfo() ?? null
+        routeInfo: this.route?.getInfo() ?? null,
+        resumeProgress: this.savedSession ? Math.round(this.savedSession.progress) : null,
+        buffer: this.route && this.cache ?
+          { ...this.getBufferHealth(), buffering: this.isBuffering } :
+          null
       };
     }
 
@@ -534,9 +2007,14 @@
      * Send progress update
      */
     sendProgressUpdate() {
+      const leg = this.route.getCurrentLeg();
+
       chrome.runtime.sendMessage({
         type: 'progress',
-        progress: this.route.getProgress()
+        progress: this.route.getProgress(),
+        leg: leg ? { index: leg.index, name: leg.name || `Leg ${leg.index + 1}`, count: this.route.legs.length } : null,
+        chapter: this.route.getCurrentChapter(),
+        buffer: { ...this.getBufferHealth(), buffering: this.isBuffering }
       }).catch(() => {});
     }
   }
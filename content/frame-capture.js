@@ -0,0 +1,163 @@
+/**
+ * StreetFlix - Frame Capture
+ * Snapshot the panorama through the background page when the canvas is tainted
+ *
+ * Street View's canvas is usually cross-origin, so `toDataURL` throws. The
+ * background service worker can still capture the visible tab; the result is
+ * cropped to the panorama and cached. Chrome allows about two captures per
+ * second, so when a request is refused the freshest cached frame is used.
+ *
+ * Capturing needs the activeTab grant, which Chrome only gives once the
+ * StreetFlix icon is clicked on the tab. Without it, capturing stops after the
+ * first refusal instead of failing every frame, until `allow` is called.
+ */
+
+class FrameCapture {
+  constructor(options = {}) {
+    this.maxFrames = options.maxFrames || 4;
+    this.maxAge = options.maxAge || 2000;          // ms a frame of another view stays usable
+    this.minInterval = options.minInterval || 500; // ms between capture requests
+    this.quality = options.quality || 0.85;
+
+    this.onBlocked = options.onBlocked || null; // called once when permission is missing
+
+    this.frames = new Map(); // view key -> {dataUrl, capturedAt}
+    this.lastRequest = 0;
+    this.pending = null;
+    this.blocked = false;
+  }
+
+  /**
+   * Get a frame of the current view
+   * @param {string} key - Identifies the view (panorama and heading)
+   * @param {Object} bounds - Panorama rect in CSS pixels, null for the whole tab
+   * @returns {Promise<string|null>} JPEG data URL, or null if none is available
+   */
+  async capture(key, bounds = null) {
+    const cached = this.frames.get(key);
+    if (cached) return cached.dataUrl;
+
+    // A capture already on its way is as fresh as a new one would be
+    if (this.pending) return this.pending;
+
+    if (this.blocked || performance.now() - this.lastRequest < this.minInterval) {
+      return this.getLatest();
+    }
+
+    this.pending = this.request(key, bounds);
+    try {
+      return await this.pending;
+    } finally {
+      this.pending = null;
+    }
+  }
+
+  /**
+   * Ask the background page for a tab capture and crop it
+   */
+  async request(key, bounds) {
+    this.lastRequest = performance.now();
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ type: 'captureTab' });
+    } catch (error) {
+      response = { success: false, error: error.message };
+    }
+
+    if (!response?.success) {
+      if (this.isPermissionError(response?.error)) {
+        this.block(response.error);
+      } else {
+        console.warn('[StreetFlix] Tab capture failed:', response?.error);
+      }
+      return this.getLatest();
+    }
+
+    const dataUrl = bounds ? await this.crop(response.dataUrl, bounds) : response.dataUrl;
+    this.store(key, dataUrl);
+    return dataUrl;
+  }
+
+  /**
+   * Crop a tab capture to a rect given in CSS pixels
+   * @returns {Promise<string>} Cropped JPEG data URL
+   */
+  async crop(dataUrl, bounds) {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('Could not decode tab capture'));
+      image.src = dataUrl;
+    });
+
+    // The capture is in device pixels
+    const scale = image.width / window.innerWidth;
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(bounds.width * scale);
+    canvas.height = Math.round(bounds.height * scale);
+
+    canvas.getContext('2d').drawImage(
+      image,
+      bounds.left * scale, bounds.top * scale, canvas.width, canvas.height,
+      0, 0, canvas.width, canvas.height
+    );
+    return canvas.toDataURL('image/jpeg', this.quality);
+  }
+
+  /**
+   * Stop requesting captures until allowed again
+   */
+  block(reason) {
+    if (this.blocked) return;
+
+    this.blocked = true;
+    console.warn('[StreetFlix] Tab capture is not permitted, snapshots are off:', reason);
+    this.onBlocked?.();
+  }
+
+  /**
+   * Resume capturing, e.g. after the user granted activeTab
+   */
+  allow() {
+    this.blocked = false;
+  }
+
+  /**
+   * Check whether Chrome refused a capture for lack of permission
+   */
+  isPermissionError(message) {
+    return /permission|activeTab|all_urls/i.test(message || '');
+  }
+
+  /**
+   * Cache a frame, dropping the oldest beyond the limit
+   */
+  store(key, dataUrl) {
+    this.frames.delete(key);
+    this.frames.set(key, { dataUrl, capturedAt: performance.now() });
+
+    while (this.frames.size > this.maxFrames) {
+      this.frames.delete(this.frames.keys().next().value);
+    }
+  }
+
+  /**
+   * Most recent frame if it is still recent enough to stand in
+   */
+  getLatest() {
+    const frames = Array.from(this.frames.values());
+    const latest = frames[frames.length - 1];
+    return latest && performance.now() - latest.capturedAt < this.maxAge ? latest.dataUrl : null;
+  }
+
+  /**
+   * Forget all frames
+   */
+  clear() {
+    this.frames.clear();
+  }
+}
+
+// Export
+window.FrameCapture = FrameCapture;
@@ -0,0 +1,188 @@
+/**
+ * StreetFlix - Link Navigator
+ * Walk the Street View link graph from panorama to panorama toward a target
+ *
+ * Each step follows the link whose heading best matches the bearing to the
+ * target. A step that ends further from the target than it started is undone
+ * and the next best link is tried; when no link is left, the walk backtracks
+ * to the previous panorama and tries its alternatives.
+ *
+ * A walk can be given a deadline, after which it stops where it is; the
+ * next walk starts from there.
+ */
+
+class LinkNavigator {
+  constructor(controller, options = {}) {
+    this.controller = controller;
+    this.maxSteps = options.maxSteps || 25;         // moves per target, backtracking included
+    this.arriveRadius = options.arriveRadius || 12; // meters
+    this.maxLinkAngle = options.maxLinkAngle || 100; // links further off the bearing are skipped
+    this.stepTimeout = options.stepTimeout || 3000;  // ms to wait for a move to land
+  }
+
+  /**
+   * Walk toward a target position
+   * @param {Object} target - {lat, lng}
+   * @param {number} deadline - performance.now() time to stop by; at least one step is taken
+   * @returns {Promise<Object>} {arrived, steps, timedOut, reason?}
+   */
+  async navigateTo(target, deadline = Infinity) {
+    let current = this.getState();
+    if (!current.position) {
+      return { arrived: false, steps: 0, timedOut: false, reason: 'current position unknown' };
+    }
+
+    const visited = new Set([current.panoId]);
+    const path = []; // {state, heading, tried} for each panorama walked through
+    let tried = new Set();
+    let steps = 0;
+
+    while (steps < this.maxSteps) {
+      const distance = GeoUtils.calculateDistance(current.position, target);
+      if (distance <= this.arriveRadius) {
+        return { arrived: true, steps, timedOut: false };
+      }
+
+      if (steps > 0 && performance.now() >= deadline) {
+        return { arrived: false, steps, timedOut: true, reason: 'out of time' };
+      }
+
+      const link = this.pickLink(current.position, target, tried, visited);
+
+      // Dead end: go back one panorama and try its other links
+      if (!link) {
+        const previous = path.pop();
+        if (!previous) {
+          return { arrived: false, steps, timedOut: false, reason: 'no link leads toward the target' };
+        }
+
+        steps++;
+        if (!await this.stepBack(previous)) {
+          return { arrived: false, steps, timedOut: false, reason: 'could not backtrack' };
+        }
+        current = previous.state;
+        tried = previous.tried;
+        continue;
+      }
+
+      tried.add(this.getLinkKey(link));
+      steps++;
+
+      const next = await this.follow(link, current);
+      if (!next) {
+        return { arrived: false, steps, timedOut: false, reason: 'link did not move' };
+      }
+      visited.add(next.panoId);
+
+      // The link led away: undo it and pick another from here
+      if (GeoUtils.calculateDistance(next.position, target) >= distance) {
+        steps++;
+        if (!await this.stepBack({ state: current, heading: link.heading })) {
+          return { arrived: false, steps, timedOut: false, reason: 'could not backtrack' };
+        }
+        continue;
+      }
+
+      path.push({ state: current, heading: link.heading, tried });
+      current = next;
+      tried = new Set();
+    }
+
+    return { arrived: false, steps, timedOut: false, reason: 'too many steps' };
+  }
+
+  /**
+   * Choose the untried link closest to the bearing to the target
+   * @returns {Object|null} Link, or null if none is usable
+   */
+  pickLink(position, target, tried, visited) {
+    const bearing = GeoUtils.calculateHeading(position, target);
+    let best = null;
+    let bestDiff = this.maxLinkAngle;
+
+    this.controller.getLinks().forEach(link => {
+      if (tried.has(this.getLinkKey(link))) return;
+      if (link.pano && visited.has(link.pano)) return;
+
+      const diff = Math.abs(GeoUtils.normalizeHeadingDiff(link.heading, bearing));
+      if (diff <= bestDiff) {
+        bestDiff = diff;
+        best = link;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Follow a link and wait until the view has moved
+   * @returns {Promise<Object|null>} New state, or null if nothing happened
+   */
+  async follow(link, from) {
+    if (!this.controller.followLink(link)) return null;
+    return this.waitForMove(from);
+  }
+
+  /**
+   * Return to the panorama a step started from
+   * Uses its ID when the panorama API is available, otherwise the link
+   * pointing back the way the step came.
+   */
+  async stepBack(previous) {
+    const here = this.getState();
+
+    if (previous.state.panoId && this.controller.setPano(previous.state.panoId)) {
+      return !!await this.waitForMove(here);
+    }
+
+    const back = this.controller.getLinks().reduce((best, link) => {
+      const diff = Math.abs(GeoUtils.normalizeHeadingDiff(link.heading, previous.heading + 180));
+      return !best || diff < best.diff ? { link, diff } : best;
+    }, null);
+
+    return !!(back && await this.follow(back.link, here));
+  }
+
+  /**
+   * Poll until the panorama or position changes
+   */
+  async waitForMove(from) {
+    const deadline = performance.now() + this.stepTimeout;
+
+    while (performance.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const state = this.getState();
+      const moved = state.panoId ?
+        state.panoId !== from.panoId :
+        state.position && GeoUtils.calculateDistance(state.position, from.position) > 1;
+
+      if (moved && state.position) {
+        await this.controller.waitForLoad(this.stepTimeout);
+        return this.getState();
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Current panorama ID and position
+   */
+  getState() {
+    return {
+      panoId: this.controller.getPanoId(),
+      position: this.controller.getPosition()
+    };
+  }
+
+  /**
+   * Identify a link between attempts (DOM arrows have no pano ID)
+   */
+  getLinkKey(link) {
+    return link.pano || `h${Math.round(link.heading)}`;
+  }
+}
+
+// Export
+window.LinkNavigator = LinkNavigator;
@@ -0,0 +1,58 @@
+/**
+ * StreetFlix - Panorama Bridge
+ * Runs in the page's own script world, where the Maps JavaScript API lives,
+ * and answers panorama lookups from the content scripts over window messages.
+ *
+ * Request: {type: 'streetflix:findPanorama', id, point: {lat, lng}, radius}
+ * Reply:   {type: 'streetflix:panorama', id, success, panorama?, error?}
+ *   panorama is {panoId, position: {lat, lng}}, or null if there is no coverage
+ */
+
+(function() {
+  'use strict';
+
+  if (window.__streetflixPanoramaBridge) return;
+  window.__streetflixPanoramaBridge = true;
+
+  let service = null;
+
+  function reply(id, result) {
+    window.postMessage({ type: 'streetflix:panorama', id, ...result }, location.origin);
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || event.data?.type !== 'streetflix:findPanorama') return;
+
+    const { id, point, radius } = event.data;
+    const maps = window.google?.maps;
+    if (!maps?.StreetViewService) {
+      reply(id, { success: false, error: 'Street View service is not available on this page' });
+      return;
+    }
+
+    try {
+      service = service || new maps.StreetViewService();
+      service.getPanorama({
+        location: { lat: point.lat, lng: point.lng },
+        radius,
+        source: maps.StreetViewSource?.OUTDOOR
+      }, (data, status) => {
+        if (status === maps.StreetViewStatus.OK && data?.location) {
+          reply(id, {
+            success: true,
+            panorama: {
+              panoId: data.location.pano,
+              position: { lat: data.location.latLng.lat(), lng: data.location.latLng.lng() }
+            }
+          });
+        } else if (status === maps.StreetViewStatus.ZERO_RESULTS) {
+          reply(id, { success: true, panorama: null });
+        } else {
+          reply(id, { success: false, error: `Street View service answered ${status}` });
+        }
+      });
+    } catch (error) {
+      reply(id, { success: false, error: error.message });
+    }
+  });
+})();
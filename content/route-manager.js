@@ -6,10 +6,63 @@
 class RouteManager {
   constructor() {
     this.waypoints = [];
+    this.legs = [];
     this.currentIndex = 0;
-    this.startPoint = null;
-    this.endPoint = null;
+    this.direction = 1; // 1 plays from start to end, -1 from end to start
+    this.name = null;
+    this.stops = [];
     this.totalDistance = 0;
+    this.cumulativeDistances = [];
+
+    // Named bookmarks {name, distance, transition?}, sorted by distance along the route
+    this.chapters = [];
+
+    // Camera keyframes {distance, headingOffset, pitch, zoom}, sorted by distance
+    this.keyframes = [];
+
+    // Look-at targets {lat, lng, name, radius} the camera follows while nearby
+    this.targets = [];
+
+    // Simplified input segments, kept so the route can be resampled
+    this.sourceSegments = [];
+
+    // Result of the last snapToPanoramas pass, null if not snapped
+    this.snapInfo = null;
+    this.spacing = 20; // nominal meters between waypoints
+    this.simplifyTolerance = 3; // meters
+
+    this.router = new StraightLineProvider();
+    this.fallbackRouter = new StraightLineProvider();
+    this.routeProfile = null;
+    this.routedBy = null;
+    this.travelMode = null;
+  }
+
+  /**
+   * First stop of the itinerary, or first waypoint of an imported route
+   */
+  get startPoint() {
+    if (this.stops.length > 0) return this.stops[0];
+    return this.waypoints[0] || null;
+  }
+
+  /**
+   * Last stop of the itinerary, or last waypoint of an imported route
+   */
+  get endPoint() {
+    if (this.stops.length > 1) return this.stops[this.stops.length - 1];
+    if (this.stops.length === 0 && this.waypoints.length > 1) {
+      return this.waypoints[this.waypoints.length - 1];
+    }
+    return null;
+  }
+
+  /**
+   * Set the routing provider used by buildRoute
+   * @param {Object} provider - Provider with async route(points, profile)
+   */
+  setRoutingProvider(provider) {
+    this.router = provider || new StraightLineProvider();
   }
 
   /**
@@ -17,50 +70,271 @@ class RouteManager {
    * @param {Array} points - Array of {lat, lng} objects
    */
   setRoute(points) {
-    this.waypoints = points;
+    this.setSegments([{ name: null, description: null, points }]);
+  }
+
+  /**
+   * Set route from named segments, played back as separate legs
+   * @param {Array} segments - Array of {name, description, points}
+   */
+  setSegments(segments) {
+    this.routeProfile = null;
+    this.routedBy = null;
+    this.snapInfo = null;
+    this.sourceSegments = [];
+
+    const resampled = [];
+    segments.forEach(segment => {
+      if (!segment.points || segment.points.length === 0) return;
+
+      const source = GeoUtils.simplifyRoute(segment.points, this.simplifyTolerance);
+      this.sourceSegments.push({
+        name: segment.name || null,
+        description: segment.description || null,
+        points: source
+      });
+      resampled.push({ ...this.sourceSegments[this.sourceSegments.length - 1], points: this.preprocessRoute(source) });
+    });
+
+    this.setWaypointSegments(resampled);
+  }
+
+  /**
+   * Set the playback waypoints of each leg as they are, without resampling
+   * @param {Array} segments - Array of {name, description, points}
+   */
+  setWaypointSegments(segments) {
+    this.waypoints = [];
+    this.legs = [];
     this.currentIndex = 0;
-    
-    if (points.length > 0) {
-      this.startPoint = points[0];
-      this.endPoint = points[points.length - 1];
+
+    segments.forEach(segment => {
+      if (!segment.points || segment.points.length === 0) return;
+
+      let points = segment.points;
+      let startIndex = this.waypoints.length;
+
+      // Legs that meet share their junction waypoint
+      const last = this.waypoints[this.waypoints.length - 1];
+      if (last && GeoUtils.calculateDistance(last, points[0]) < 1) {
+        points = points.slice(1);
+        startIndex--;
+      }
+
+      this.waypoints.push(...points);
+      this.legs.push({
+        name: segment.name || null,
+        description: segment.description || null,
+        startIndex,
+        endIndex: this.waypoints.length - 1,
+        distance: GeoUtils.calculateRouteDistance(this.waypoints.slice(startIndex))
+      });
+    });
+
+    this.cumulativeDistances = [0];
+    for (let i = 1; i < this.waypoints.length; i++) {
+      this.cumulativeDistances.push(this.cumulativeDistances[i - 1] +
+        GeoUtils.calculateDistance(this.waypoints[i - 1], this.waypoints[i]));
     }
-    
-    this.preprocessRoute();
-    this.totalDistance = GeoUtils.calculateRouteDistance(this.waypoints);
-    
-    console.log(`[StreetFlix] Route set with ${this.waypoints.length} waypoints, ${Math.round(this.totalDistance)}m total`);
+    this.totalDistance = this.cumulativeDistances[this.cumulativeDistances.length - 1] || 0;
+
+    console.log(`[StreetFlix] Route set with ${this.waypoints.length} waypoints in ${this.legs.length} leg(s), ${Math.round(this.totalDistance)}m total`);
   }
 
   /**
-   * Add intermediate points for smoother movement
+   * Resample simplified points for smooth movement
+   * Straights get sparser waypoints and curves denser ones, around
+   * the configured spacing.
+   * @param {Array} points - Array of {lat, lng} objects
+   * @returns {Array} Resampled waypoints
    */
-  preprocessRoute() {
-    if (this.waypoints.length < 2) return;
+  preprocessRoute(points) {
+    return GeoUtils.resampleRoute(points, this.spacing);
+  }
 
-    const interpolated = [];
-    const targetSpacing = 20; // meters between points
+  /**
+   * Change waypoint spacing, resampling the current route
+   * Position is kept at the same distance along the route.
+   * @param {number} spacing - Nominal meters between waypoints
+   */
+  setSpacing(spacing) {
+    if (!spacing || spacing === this.spacing) return;
+    this.spacing = spacing;
+
+    if (!this.hasRoute()) return;
 
-    for (let i = 0; i < this.waypoints.length - 1; i++) {
-      const start = this.waypoints[i];
-      const end = this.waypoints[i + 1];
-      const distance = GeoUtils.calculateDistance(start, end);
+    const traveled = this.getDistanceTraveled();
+    const { routeProfile, routedBy } = this;
 
-      // Add start point
-      interpolated.push(start);
+    this.setSegments(this.sourceSegments);
+    this.routeProfile = routeProfile;
+    this.routedBy = routedBy;
+    this.currentIndex = this.getIndexAtDistance(traveled);
+  }
 
-      // Add intermediate points if segment is long enough
-      if (distance > targetSpacing) {
-        const steps = Math.ceil(distance / targetSpacing);
-        for (let j = 1; j < steps; j++) {
-          interpolated.push(GeoUtils.interpolate(start, end, j / steps));
+  /**
+   * Move waypoints onto real panorama locations
+   * Waypoints that resolve to the same panorama are merged, a stop's name
+   * moving to the point kept, and stretches where nothing resolves are
+   * dropped and reported as coverage gaps.
+   * Waypoints whose lookup failed stay where they are: a failure says nothing
+   * about coverage. The route is left unchanged if no waypoint resolves at all.
+   * @param {Function} resolve - async (point) => {panoId, position} or null; throws if the lookup fails
+   * @param {Function} onProgress - Called with the fraction resolved (0-1)
+   * @returns {Promise<Object>} Report {total, resolved, failed, panoramas, merged, gaps, uncoveredDistance}
+   * @throws {Error} If every lookup failed
+   */
+  async snapToPanoramas(resolve, onProgress = null) {
+    if (!this.hasRoute()) {
+      throw new Error('No route to snap');
+    }
+
+    const total = this.waypoints.length;
+    const results = new Array(total).fill(null);
+    const failed = new Set();
+    let lookupError = null;
+    let nextIndex = 0;
+    let done = 0;
+
+    // Look up a few waypoints at a time
+    const worker = async () => {
+      while (nextIndex < total) {
+        const i = nextIndex++;
+        try {
+          results[i] = await resolve(this.waypoints[i]);
+        } catch (error) {
+          failed.add(i);
+          lookupError = error;
         }
+        onProgress?.(++done / total);
       }
+    };
+    await Promise.all(Array.from({ length: Math.min(4, total) }, worker));
+
+    if (failed.size === total) {
+      throw lookupError;
     }
 
-    // Add final point
-    interpolated.push(this.waypoints[this.waypoints.length - 1]);
-    
-    this.waypoints = interpolated;
+    const report = {
+      total,
+      resolved: results.filter(Boolean).length,
+      failed: failed.size,
+      panoramas: 0,
+      merged: 0,
+      gaps: [],
+      uncoveredDistance: 0
+    };
+
+    if (report.resolved === 0) {
+      this.snapInfo = report;
+      return report;
+    }
+
+    // Gaps run from the last covered waypoint to the next one
+    let lastCovered = -1;
+    let gapStart = null;
+    let lastPanoId = null;
+    let lastPoint = null;
+
+    const segments = this.legs.map((leg, legIndex) => {
+      const points = [];
+      let first = leg.startIndex;
+
+      // A junction shared with the previous leg was handled there: start from
+      // the same point, so the legs still meet
+      if (legIndex > 0 && leg.startIndex === this.legs[legIndex - 1].endIndex) {
+        first++;
+        if (lastPoint) points.push(lastPoint);
+      }
+
+      for (let i = first; i <= leg.endIndex; i++) {
+        const waypoint = this.waypoints[i];
+        const pano = results[i];
+
+        if (failed.has(i)) {
+          if (gapStart !== null) {
+            report.gaps.push(this.createGap(gapStart, i));
+            gapStart = null;
+          }
+          lastCovered = i;
+          lastPanoId = null;
+          lastPoint = {
+            lat: waypoint.lat,
+            lng: waypoint.lng,
+            ...(waypoint.name ? { name: waypoint.name } : {})
+          };
+          points.push(lastPoint);
+          continue;
+        }
+
+        if (!pano) {
+          if (gapStart === null) gapStart = lastCovered;
+          continue;
+        }
+
+        if (gapStart !== null) {
+          report.gaps.push(this.createGap(gapStart, i));
+          gapStart = null;
+        }
+        lastCovered = i;
+
+        // Same panorama as the point before: merge, keeping a stop's name
+        if (pano.panoId === lastPanoId && !(waypoint.name && lastPoint.name)) {
+          if (waypoint.name) lastPoint.name = waypoint.name;
+          report.merged++;
+          continue;
+        }
+        lastPanoId = pano.panoId;
+
+        lastPoint = {
+          lat: pano.position.lat,
+          lng: pano.position.lng,
+          panoId: pano.panoId,
+          ...(waypoint.name ? { name: waypoint.name } : {})
+        };
+        points.push(lastPoint);
+      }
+
+      return { name: leg.name, description: leg.description, points };
+    });
+
+    if (gapStart !== null) {
+      report.gaps.push(this.createGap(gapStart, total));
+    }
+    report.uncoveredDistance = report.gaps.reduce((sum, gap) => sum + gap.length, 0);
+
+    // Keep the position and everything derived from the source route
+    const traveled = this.getDistanceTraveled();
+    const { routeProfile, routedBy } = this;
+
+    this.setWaypointSegments(segments);
+    this.routeProfile = routeProfile;
+    this.routedBy = routedBy;
+    this.currentIndex = this.getIndexAtDistance(traveled);
+
+    report.panoramas = this.waypoints.length;
+    this.snapInfo = report;
+
+    console.log(`[StreetFlix] Snapped ${report.resolved}/${total} waypoints to ${report.panoramas} panoramas, ${report.gaps.length} coverage gap(s), ${report.failed} failed lookup(s)`);
+    return report;
+  }
+
+  /**
+   * Describe a stretch without coverage between two waypoint indices
+   * @param {number} from - Last covered waypoint before the gap (-1 for route start)
+   * @param {number} to - Next covered waypoint (waypoint count for route end)
+   */
+  createGap(from, to) {
+    const start = this.getDistanceAtIndex(Math.max(from, 0));
+    const end = to >= this.waypoints.length ? this.totalDistance : this.getDistanceAtIndex(to);
+    const point = this.waypoints[Math.max(from, 0)];
+
+    return {
+      from: Math.round(start),
+      to: Math.round(end),
+      length: Math.round(end - start),
+      location: `${point.lat.toFixed(4)}, ${point.lng.toFixed(4)}`
+    };
   }
 
   /**
@@ -68,7 +342,11 @@ class RouteManager {
    * @param {Object} position - {lat, lng}
    */
   setStartPoint(position) {
-    this.startPoint = position;
+    if (this.stops.length === 0) {
+      this.stops.push(position);
+    } else {
+      this.stops[0] = position;
+    }
     console.log('[StreetFlix] Start point set:', position);
   }
 
@@ -77,73 +355,167 @@ class RouteManager {
    * @param {Object} position - {lat, lng}
    */
   setEndPoint(position) {
-    this.endPoint = position;
+    // Keep a slot for a start point that has not been set yet
+    if (this.stops.length === 0) {
+      this.stops.push(null);
+    }
+
+    if (this.stops.length === 1) {
+      this.stops.push(position);
+    } else {
+      this.stops[this.stops.length - 1] = position;
+    }
     console.log('[StreetFlix] End point set:', position);
   }
 
   /**
-   * Build route between start and end points
-   * For now, creates direct line - could be enhanced with routing API
+   * Add a via point
+   * @param {Object} position - {lat, lng}
+   * @param {number} index - Stop index to insert at (default: just before the end)
+   * @returns {number} Index the stop was inserted at
+   */
+  addStop(position, index = null) {
+    // Keep slots for a start and end that have not been set yet
+    while (this.stops.length < 2) {
+      this.stops.push(null);
+    }
+
+    const at = Math.max(0, Math.min(index ?? this.stops.length - 1, this.stops.length));
+    this.stops.splice(at, 0, position);
+    console.log(`[StreetFlix] Stop added at ${at}:`, position);
+    return at;
+  }
+
+  /**
+   * Move a stop to a new position in the itinerary
+   * @returns {boolean} Whether the move was valid
    */
-  buildRoute() {
-    if (!this.startPoint || !this.endPoint) {
+  moveStop(from, to) {
+    if (from < 0 || from >= this.stops.length || to < 0 || to >= this.stops.length) {
+      return false;
+    }
+    const [stop] = this.stops.splice(from, 1);
+    this.stops.splice(to, 0, stop);
+    return true;
+  }
+
+  /**
+   * Remove a stop
+   * @returns {boolean} Whether a stop was removed
+   */
+  removeStop(index) {
+    if (index < 0 || index >= this.stops.length) {
+      return false;
+    }
+    this.stops.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Get a display label for a stop
+   */
+  getStopLabel(index) {
+    const stop = this.stops[index];
+    if (stop?.name) return stop.name;
+    if (index === 0) return 'Start';
+    if (index === this.stops.length - 1) return 'End';
+    return `Via ${index}`;
+  }
+
+  /**
+   * Build route through all stops, leg by leg
+   * Each leg uses the configured routing provider and falls back to a
+   * straight line if it fails.
+   * @param {string} profile - Routing profile (foot, bike, car)
+   * @returns {Promise<boolean>}
+   */
+  async buildRoute(profile = 'car') {
+    if (this.stops.length < 2 || this.stops.some(stop => !stop)) {
       console.error('[StreetFlix] Cannot build route: missing start or end point');
       return false;
     }
 
-    // Create simple direct route
-    // TODO: Could use OpenRouteService or OSRM for real routing
-    this.setRoute([this.startPoint, this.endPoint]);
+    const stops = this.stops.slice();
+    const segments = [];
+    let routedBy = this.router.name;
+
+    for (let i = 0; i < stops.length - 1; i++) {
+      const pair = [stops[i], stops[i + 1]];
+      let points;
+
+      try {
+        points = await this.router.route(pair, profile);
+      } catch (error) {
+        console.warn(`[StreetFlix] ${this.router.name} routing failed for leg ${i + 1}, using straight line:`, error.message);
+        points = await this.fallbackRouter.route(pair, profile);
+        routedBy = this.fallbackRouter.name;
+      }
+
+      segments.push({
+        name: `${this.getStopLabel(i)} → ${this.getStopLabel(i + 1)}`,
+        description: null,
+        points
+      });
+    }
+
+    this.setSegments(segments);
+    this.routeProfile = profile;
+    this.routedBy = routedBy;
+    this.chapters = this.chapters.filter(chapter => chapter.distance <= this.totalDistance);
+    this.keyframes = this.keyframes.filter(keyframe => keyframe.distance <= this.totalDistance);
     return true;
   }
 
   /**
-   * Try to capture route from Google Maps directions
+   * Capture route from a Google Maps directions URL
+   * Origin, via places and destination become stops and the route is built
+   * with the profile matching the directions' travel mode.
+   * Throws with the decoder's reason if nothing could be captured.
+   * @param {string} url - Directions URL (default: current page)
+   * @returns {Promise<boolean>}
    */
-  captureFromGoogleDirections() {
+  async captureFromGoogleDirections(url = location.href) {
     console.log('[StreetFlix] Attempting to capture route from Google Directions...');
 
-    // Method 1: Try to find polyline in URL
-    const url = location.href;
-    const polylineMatch = url.match(/data=[^&]*?4m[^&]*?([a-zA-Z0-9_-]+)/);
-    
-    // Method 2: Look for route overlay elements
-    const routePath = document.querySelector('svg path[d*="M"]');
-    
-    // Method 3: Look for directions panel waypoints
-    const directionSteps = document.querySelectorAll('[data-trip-index]');
-    
-    // Method 4: Check for encoded route in page scripts
-    const scripts = document.querySelectorAll('script');
-    let encodedRoute = null;
-    
-    scripts.forEach(script => {
-      const content = script.textContent;
-      if (content.includes('polyline') || content.includes('overview_path')) {
-        // Try to extract polyline
-        const match = content.match(/"points":"([^"]+)"/);
-        if (match) {
-          encodedRoute = match[1];
-        }
+    let directions;
+    try {
+      directions = MapsURL.parseDirections(url);
+    } catch (error) {
+      // Fall back to a route intercepted from network requests, then the DOM
+      if (window._streetflixCapturedRoute) {
+        this.stops = [];
+        this.chapters = [];
+        this.keyframes = [];
+        this.targets = [];
+        this.setRoute(window._streetflixCapturedRoute);
+        return true;
       }
-    });
 
-    if (encodedRoute) {
-      const points = GeoUtils.decodePolyline(encodedRoute);
-      if (points.length > 0) {
-        this.setRoute(points);
+      if (this.captureFromDOM()) {
         return true;
       }
-    }
 
-    // Method 5: Extract from network requests (if we intercepted them)
-    if (window._streetflixCapturedRoute) {
-      this.setRoute(window._streetflixCapturedRoute);
-      return true;
+      throw error;
     }
 
-    // Fallback: collect visible waypoints from DOM
-    return this.captureFromDOM();
+    const speed = MapsURL.toSpeedMode(directions.travelMode);
+
+    this.chapters = [];
+    this.keyframes = [];
+    this.targets = [];
+    this.stops = directions.stops.map(stop => ({
+      lat: stop.lat,
+      lng: stop.lng,
+      ...(stop.name ? { name: stop.name.split(',')[0] } : {})
+    }));
+    await this.buildRoute(RoutingProviders.getProfile(speed));
+
+    const first = this.stops[0];
+    const last = this.stops[this.stops.length - 1];
+    this.name = first.name && last.name ? `${first.name} → ${last.name}` : null;
+    this.travelMode = directions.travelMode;
+
+    return true;
   }
 
   /**
@@ -169,6 +541,10 @@ class RouteManager {
     });
 
     if (points.length >= 2) {
+      this.stops = [];
+      this.chapters = [];
+      this.keyframes = [];
+      this.targets = [];
       this.setRoute(points);
       return true;
     }
@@ -188,13 +564,10 @@ class RouteManager {
   }
 
   /**
-   * Get next waypoint
+   * Get next waypoint in the playback direction
    */
   getNextWaypoint() {
-    if (this.currentIndex + 1 < this.waypoints.length) {
-      return this.waypoints[this.currentIndex + 1];
-    }
-    return null;
+    return this.getWaypoint(this.currentIndex + this.direction);
   }
 
   /**
@@ -208,17 +581,56 @@ class RouteManager {
   }
 
   /**
-   * Advance to next waypoint
+   * Get the leg containing the current waypoint
+   * @returns {Object|null} Leg with its index, or null without a route
+   */
+  getCurrentLeg() {
+    for (let i = this.legs.length - 1; i >= 0; i--) {
+      if (this.legs[i].startIndex <= this.currentIndex) {
+        return { index: i, ...this.legs[i] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get route split into its legs, as normalized segments
+   */
+  getSegments() {
+    return this.legs.map(leg => ({
+      name: leg.name,
+      description: leg.description,
+      points: this.waypoints.slice(leg.startIndex, leg.endIndex + 1)
+    }));
+  }
+
+  /**
+   * Advance to next waypoint in the playback direction
    * @returns {boolean} Whether there are more waypoints
    */
   advance() {
-    if (this.currentIndex < this.waypoints.length - 1) {
-      this.currentIndex++;
+    if (!this.isComplete()) {
+      this.currentIndex += this.direction;
       return true;
     }
     return false;
   }
 
+  /**
+   * Set the playback direction
+   * @param {number} direction - 1 for forward, -1 for reverse
+   */
+  setDirection(direction) {
+    this.direction = direction < 0 ? -1 : 1;
+  }
+
+  /**
+   * Turn around, e.g. at the end of the route in ping-pong mode
+   */
+  reverseDirection() {
+    this.direction = -this.direction;
+  }
+
   /**
    * Go back one waypoint
    */
@@ -245,8 +657,206 @@ class RouteManager {
    * Jump to percentage of route
    */
   jumpToPercent(percent) {
-    const index = Math.floor((percent / 100) * (this.waypoints.length - 1));
-    return this.jumpTo(index);
+    return this.jumpTo(this.getIndexAtPercent(percent));
+  }
+
+  /**
+   * Get the waypoint index at a percentage of the route
+   */
+  getIndexAtPercent(percent) {
+    const clamped = Math.max(0, Math.min(100, percent));
+    return Math.floor((clamped / 100) * (this.waypoints.length - 1));
+  }
+
+  /**
+   * Add a named bookmark
+   * @param {string} name - Chapter name
+   * @param {Object} at - {index} or {distance} (default: current waypoint)
+   * @returns {number} Index of the new chapter
+   */
+  addChapter(name, at = {}) {
+    const distance = at.distance ?? this.getDistanceAtIndex(at.index ?? this.currentIndex);
+    const chapter = {
+      name: name || `Bookmark ${this.chapters.length + 1}`,
+      distance: Math.max(0, Math.min(distance, this.totalDistance))
+    };
+
+    this.chapters.push(chapter);
+    this.chapters.sort((a, b) => a.distance - b.distance);
+    return this.chapters.indexOf(chapter);
+  }
+
+  /**
+   * Remove a bookmark
+   * @returns {boolean} Whether a chapter was removed
+   */
+  removeChapter(index) {
+    if (index < 0 || index >= this.chapters.length) {
+      return false;
+    }
+    this.chapters.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Set the transition style used inside a chapter
+   * @param {number} index - Chapter index
+   * @param {string|null} style - Style name, null for the default
+   * @returns {boolean} Whether the chapter exists
+   */
+  setChapterTransition(index, style) {
+    const chapter = this.chapters[index];
+    if (!chapter) {
+      return false;
+    }
+
+    if (style) {
+      chapter.transition = style;
+    } else {
+      delete chapter.transition;
+    }
+    return true;
+  }
+
+  /**
+   * Get the waypoint index a chapter starts at
+   */
+  getChapterWaypoint(index) {
+    return this.getIndexAtDistance(this.chapters[index].distance);
+  }
+
+  /**
+   * Get the chapter containing the current waypoint
+   * @returns {Object|null} Chapter with its index, or null before the first one
+   */
+  getCurrentChapter() {
+    return this.getChapterAt(this.currentIndex);
+  }
+
+  /**
+   * Get the chapter containing a waypoint
+   * @returns {Object|null} Chapter with its index, or null before the first one
+   */
+  getChapterAt(waypointIndex) {
+    for (let i = this.chapters.length - 1; i >= 0; i--) {
+      if (this.getChapterWaypoint(i) <= waypointIndex) {
+        return { index: i, ...this.chapters[i] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Jump to the start of a chapter
+   */
+  jumpToChapter(index) {
+    if (index < 0 || index >= this.chapters.length) {
+      return false;
+    }
+    return this.jumpTo(this.getChapterWaypoint(index));
+  }
+
+  /**
+   * Jump to the next chapter in the playback direction
+   * @returns {boolean} Whether there was a chapter to jump to
+   */
+  nextChapter() {
+    const waypoint = this.findChapterWaypoint(this.direction);
+    return waypoint !== -1 && this.jumpTo(waypoint);
+  }
+
+  /**
+   * Jump to the chapter behind the current waypoint in the playback
+   * direction, or the end playback started from
+   * @returns {boolean} Whether the position changed
+   */
+  previousChapter() {
+    const waypoint = this.findChapterWaypoint(-this.direction);
+    if (waypoint !== -1) {
+      return this.jumpTo(waypoint);
+    }
+
+    const start = this.direction < 0 ? this.waypoints.length - 1 : 0;
+    return this.currentIndex !== start && this.jumpTo(start);
+  }
+
+  /**
+   * Find the nearest chapter start past the current waypoint
+   * @param {number} direction - 1 toward the route end, -1 toward the start
+   * @returns {number} Waypoint index, or -1 if there is none
+   */
+  findChapterWaypoint(direction) {
+    let found = -1;
+    this.chapters.forEach((_, i) => {
+      const waypoint = this.getChapterWaypoint(i);
+      const ahead = (waypoint - this.currentIndex) * direction > 0;
+      if (ahead && (found === -1 || (waypoint - found) * direction < 0)) {
+        found = waypoint;
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Add a camera keyframe
+   * @param {Object} view - {headingOffset, pitch, zoom}
+   * @param {Object} at - {index} or {distance} (default: current waypoint)
+   * @returns {number} Index of the new keyframe
+   */
+  addKeyframe(view, at = {}) {
+    const distance = at.distance ?? this.getDistanceAtIndex(at.index ?? this.currentIndex);
+    const keyframe = {
+      distance: Math.max(0, Math.min(distance, this.totalDistance)),
+      headingOffset: view.headingOffset || 0,
+      pitch: view.pitch || 0,
+      zoom: view.zoom ?? 1
+    };
+
+    // One keyframe per spot: adding again replaces it
+    this.keyframes = this.keyframes.filter(k => Math.abs(k.distance - keyframe.distance) >= 1);
+    this.keyframes.push(keyframe);
+    this.keyframes.sort((a, b) => a.distance - b.distance);
+    return this.keyframes.indexOf(keyframe);
+  }
+
+  /**
+   * Remove a camera keyframe
+   * @returns {boolean} Whether a keyframe was removed
+   */
+  removeKeyframe(index) {
+    if (index < 0 || index >= this.keyframes.length) {
+      return false;
+    }
+    this.keyframes.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Pin a point of interest for the camera to look at
+   * @param {Object} position - {lat, lng}
+   * @param {Object} options - {name, radius}; radius is the window in meters
+   * @returns {number} Index of the new target
+   */
+  addTarget(position, options = {}) {
+    this.targets.push({
+      lat: position.lat,
+      lng: position.lng,
+      name: options.name || `Target ${this.targets.length + 1}`,
+      radius: options.radius || 150
+    });
+    return this.targets.length - 1;
+  }
+
+  /**
+   * Remove a look-at target
+   * @returns {boolean} Whether a target was removed
+   */
+  removeTarget(index) {
+    if (index < 0 || index >= this.targets.length) {
+      return false;
+    }
+    this.targets.splice(index, 1);
+    return true;
   }
 
   /**
@@ -270,15 +880,40 @@ class RouteManager {
     return (this.currentIndex / (this.waypoints.length - 1)) * 100;
   }
 
+  /**
+   * Get distance along the route at a waypoint index
+   */
+  getDistanceAtIndex(index) {
+    return this.cumulativeDistances[Math.max(0, Math.min(index, this.cumulativeDistances.length - 1))] || 0;
+  }
+
+  /**
+   * Get the waypoint index closest to a distance along the route
+   */
+  getIndexAtDistance(distance) {
+    const dists = this.cumulativeDistances;
+    if (dists.length === 0) return 0;
+
+    // Binary search for the first waypoint at or past the distance
+    let low = 0;
+    let high = dists.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (dists[mid] < distance) low = mid + 1;
+      else high = mid;
+    }
+
+    if (low > 0 && distance - dists[low - 1] < dists[low] - distance) {
+      return low - 1;
+    }
+    return low;
+  }
+
   /**
    * Get distance traveled
    */
   getDistanceTraveled() {
-    let traveled = 0;
-    for (let i = 0; i < this.currentIndex && i < this.waypoints.length - 1; i++) {
-      traveled += GeoUtils.calculateDistance(this.waypoints[i], this.waypoints[i + 1]);
-    }
-    return traveled;
+    return this.getDistanceAtIndex(this.currentIndex);
   }
 
   /**
@@ -289,9 +924,10 @@ class RouteManager {
   }
 
   /**
-   * Check if route is complete
+   * Check if route is complete in the playback direction
    */
   isComplete() {
+    if (this.direction < 0) return this.currentIndex <= 0;
     return this.currentIndex >= this.waypoints.length - 1;
   }
 
@@ -303,10 +939,10 @@ class RouteManager {
   }
 
   /**
-   * Reset route to beginning
+   * Reset route to where playback starts in the current direction
    */
   reset() {
-    this.currentIndex = 0;
+    this.currentIndex = this.direction < 0 ? Math.max(0, this.waypoints.length - 1) : 0;
   }
 
   /**
@@ -314,10 +950,79 @@ class RouteManager {
    */
   clear() {
     this.waypoints = [];
+    this.legs = [];
     this.currentIndex = 0;
-    this.startPoint = null;
-    this.endPoint = null;
+    this.name = null;
+    this.stops = [];
+    this.chapters = [];
+    this.keyframes = [];
+    this.targets = [];
     this.totalDistance = 0;
+    this.cumulativeDistances = [];
+    this.sourceSegments = [];
+    this.snapInfo = null;
+    this.routeProfile = null;
+    this.routedBy = null;
+  }
+
+  /**
+   * Import route from a file in an interchange format
+   * Throws with a descriptive message if the file is malformed.
+   * @param {string} text - File contents
+   * @param {string} format - Format name (see RouteFormats)
+   */
+  importRoute(text, format = 'gpx') {
+    const parsed = RouteFormats.parse(text, format);
+
+    this.stops = [];
+    this.chapters = [];
+    this.keyframes = [];
+    this.targets = [];
+    this.travelMode = null;
+    this.setSegments(parsed.segments);
+    this.name = parsed.name;
+  }
+
+  /**
+   * Export the current route, including interpolated waypoints
+   * @param {string} format - Format name (see RouteFormats)
+   * @returns {string} Serialized route
+   */
+  exportRoute(format = 'gpx') {
+    if (!this.hasRoute()) {
+      throw new Error('No route to export');
+    }
+
+    return RouteFormats.serialize({
+      name: this.name,
+      segments: this.getSegments()
+    }, format);
+  }
+
+  /**
+   * Get the route as share link data (see ShareLink)
+   */
+  getShareData() {
+    // The simplified source is much shorter than the resampled waypoints
+    return {
+      name: this.name,
+      segments: this.sourceSegments,
+      stops: this.stops
+    };
+  }
+
+  /**
+   * Load a route decoded from a share link
+   * @param {Object} data - {name, segments, stops}
+   */
+  loadShareData(data) {
+    this.stops = data.stops || [];
+    this.chapters = [];
+    this.keyframes = [];
+    this.targets = [];
+    this.travelMode = null;
+    this.setSegments(data.segments);
+    this.name = data.name || null;
   }
 
   /**
@@ -325,19 +1030,63 @@ class RouteManager {
    */
   toJSON() {
     return {
+      name: this.name,
       waypoints: this.waypoints,
-      startPoint: this.startPoint,
-      endPoint: this.endPoint,
+      legs: this.legs,
+      stops: this.stops,
+      chapters: this.chapters,
+      keyframes: this.keyframes,
+      targets: this.targets,
+      source: this.sourceSegments,
+      snapInfo: this.snapInfo,
       totalDistance: this.totalDistance
     };
   }
 
+  /**
+   * Get a key that changes whenever the route toJSON describes changes
+   * Cheap enough to check often: waypoints count by number and length only.
+   */
+  getChangeKey() {
+    return JSON.stringify([
+      this.name, this.waypoints.length, this.totalDistance, this.legs.length, this.stops,
+      this.chapters, this.keyframes, this.targets, this.snapInfo
+    ]);
+  }
+
   /**
    * Import route from JSON
    */
   fromJSON(data) {
-    if (data.waypoints) {
-      this.setRoute(data.waypoints);
+    this.stops = data.stops || [];
+    this.chapters = (data.chapters || []).slice().sort((a, b) => a.distance - b.distance);
+    this.keyframes = (data.keyframes || []).slice().sort((a, b) => a.distance - b.distance);
+    this.targets = data.targets || [];
+
+    if (data.source?.length) {
+      this.setSegments(data.source);
+
+      // Snapped waypoints cannot be rebuilt from the source without lookups
+      if (data.snapInfo?.resolved && data.waypoints && data.legs?.length) {
+        this.setWaypointSegments(data.legs.map(leg => ({
+          name: leg.name,
+          description: leg.description,
+          points: data.waypoints.slice(leg.startIndex, leg.endIndex + 1)
+        })));
+        this.snapInfo = data.snapInfo;
+      }
+      this.name = data.name || null;
+    } else if (data.waypoints) {
+      if (data.legs?.length) {
+        this.setSegments(data.legs.map(leg => ({
+          name: leg.name,
+          description: leg.description,
+          points: data.waypoints.slice(leg.startIndex, leg.endIndex + 1)
+        })));
+      } else {
+        this.setRoute(data.waypoints);
+      }
+      this.name = data.name || null;
     }
   }
 
@@ -345,12 +1094,51 @@ class RouteManager {
    * Get route info summary
    */
   getInfo() {
+    const leg = this.getCurrentLeg();
+    const chapter = this.getCurrentChapter();
+
     return {
       start: this.startPoint ? 
         `${this.startPoint.lat.toFixed(4)}, ${this.startPoint.lng.toFixed(4)}` : 'Not set',
       end: this.endPoint ?
         `${this.endPoint.lat.toFixed(4)}, ${this.endPoint.lng.toFixed(4)}` : 'Not set',
       waypointCount: this.waypoints.length,
+      stops: this.stops.map((stop, idx) => ({
+        label: this.getStopLabel(idx),
+        location: stop ? `${stop.lat.toFixed(4)}, ${stop.lng.toFixed(4)}` : 'Not set'
+      })),
+      legs: this.legs.map((l, idx) => ({
+        name: l.name || `Leg ${idx + 1}`,
+        distance: Math.round(l.distance)
+      })),
+      legCount: this.legs.length,
+      legIndex: leg ? leg.index : -1,
+      routedBy: this.routedBy,
+      currentLeg: leg ? (leg.name || `Leg ${leg.index + 1}`) : null,
+      chapters: this.chapters.map(c => ({
+        name: c.name,
+        distance: Math.round(c.distance),
+        transition: c.transition || null
+      })),
+      chapterIndex: chapter ? chapter.index : -1,
+      keyframes: this.keyframes.map(k => ({
+        distance: Math.round(k.distance),
+        headingOffset: k.headingOffset,
+        pitch: k.pitch,
+        zoom: k.zoom
+      })),
+      targets: this.targets.map(t => ({
+        name: t.name,
+        location: `${t.lat.toFixed(4)}, ${t.lng.toFixed(4)}`,
+        radius: t.radius
+      })),
+      snap: this.snapInfo ? {
+        resolved: this.snapInfo.resolved,
+        total: this.snapInfo.total,
+        panoramas: this.snapInfo.panoramas,
+        gaps: this.snapInfo.gaps,
+        uncoveredDistance: this.snapInfo.uncoveredDistance
+      } : null,
       totalDistance: Math.round(this.totalDistance),
       progress: Math.round(this.getProgress())
     };
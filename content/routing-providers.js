@@ -0,0 +1,109 @@
+/**
+ * StreetFlix - Routing Providers
+ * Turn a list of stops into a road-following route
+ *
+ * A provider exposes `name` and `async route(points, profile)`, which
+ * resolves to an array of {lat, lng} points or throws on failure.
+ */
+
+/**
+ * Straight line between stops - always available, used as fallback
+ */
+class StraightLineProvider {
+  constructor() {
+    this.name = 'straight';
+  }
+
+  async route(points) {
+    return points.map(p => ({ lat: p.lat, lng: p.lng }));
+  }
+}
+
+/**
+ * Client for the OSRM HTTP route service (v5 API)
+ * Works with the public demo server or a self-hosted osrm-routed instance.
+ * Requests go through the background service worker: from the content script
+ * they would be subject to the Maps page's CORS and local-network rules.
+ */
+class OSRMProvider {
+  constructor(options = {}) {
+    this.name = 'osrm';
+    this.endpoint = (options.endpoint || OSRMProvider.DEFAULT_ENDPOINT).replace(/\/+$/, '');
+    this.timeout = options.timeout || 10000;
+  }
+
+  /**
+   * Request a route through the given points
+   * @param {Array} points - Array of {lat, lng} stops (at least 2)
+   * @param {string} profile - OSRM profile (foot, bike, car)
+   * @returns {Promise<Array>} Route geometry as {lat, lng} points
+   */
+  async route(points, profile = 'car') {
+    if (points.length < 2) {
+      throw new Error('OSRM: at least 2 points are required');
+    }
+
+    const coords = points.map(p => `${p.lng.toFixed(6)},${p.lat.toFixed(6)}`).join(';');
+    const url = `${this.endpoint}/route/v1/${encodeURIComponent(profile)}/${coords}` +
+      '?overview=full&geometries=geojson&steps=false';
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ type: 'fetchRoute', url, timeout: this.timeout });
+    } catch (error) {
+      response = { success: false, error: error.message };
+    }
+
+    if (!response?.success) {
+      throw new Error(`OSRM: request to ${this.endpoint} failed (${response?.error || 'no response'})`);
+    }
+
+    const data = response.data;
+
+    if (data.code !== 'Ok' || !data.routes?.length) {
+      throw new Error(`OSRM: ${data.message || data.code || 'no route found'}`);
+    }
+
+    return data.routes[0].geometry.coordinates.map(([lng, lat]) => ({ lat, lng }));
+  }
+}
+
+OSRMProvider.DEFAULT_ENDPOINT = 'https://router.project-osrm.org';
+
+const RoutingProviders = {
+  /**
+   * OSRM profile to use for each speed mode
+   */
+  profiles: {
+    walking: 'foot',
+    cycling: 'bike',
+    driving: 'car',
+    flying: 'car'
+  },
+
+  /**
+   * Create a provider by name
+   * @param {string} name - Provider name (straight, osrm)
+   * @param {Object} options - Provider options, e.g. {endpoint}
+   */
+  create(name, options = {}) {
+    switch (name) {
+      case 'osrm':
+        return new OSRMProvider(options);
+      default:
+        return new StraightLineProvider();
+    }
+  },
+
+  /**
+   * Get the routing profile for a speed mode
+   */
+  getProfile(speed) {
+    return this.profiles[speed] || this.profiles.driving;
+  }
+};
+
+// Export
+window.StraightLineProvider = StraightLineProvider;
+window.OSRMProvider = OSRMProvider;
+window.RoutingProviders = RoutingProviders;
@@ -221,16 +221,32 @@ class StreetViewController {
     const url = location.href;
     const headingMatch = url.match(/,(\d+\.?\d*)h/);
     const pitchMatch = url.match(/,(\d+\.?\d*)t/);
+    const fovMatch = url.match(/,(\d+\.?\d*)y/);
     
     const heading = headingMatch ? parseFloat(headingMatch[1]) : 0;
     const pitch = pitchMatch ? parseFloat(pitchMatch[1]) - 90 : 0;
+    const zoom = fovMatch ? this.fovToZoom(parseFloat(fovMatch[1])) : 1;
 
     if (this.panorama?.getPov) {
       const pov = this.panorama.getPov();
-      return { heading: pov.heading, pitch: pov.pitch, zoom: pov.zoom || 1 };
+      return { heading: pov.heading, pitch: pov.pitch, zoom: pov.zoom ?? 1 };
     }
 
-    return { heading, pitch, zoom: 1 };
+    return { heading, pitch, zoom };
+  }
+
+  /**
+   * Convert a URL field of view (degrees) to a panorama zoom level
+   */
+  fovToZoom(fov) {
+    return Math.log2(180 / fov);
+  }
+
+  /**
+   * Convert a panorama zoom level to a URL field of view (degrees)
+   */
+  zoomToFov(zoom) {
+    return Math.max(15, Math.min(90, 180 / Math.pow(2, zoom)));
   }
 
   /**
@@ -276,13 +292,14 @@ class StreetViewController {
   /**
    * Navigate to position by updating URL
    */
-  navigateViaURL(latLng, heading = null, pitch = null) {
+  navigateViaURL(latLng, heading = null, pitch = null, zoom = null) {
     const currentPov = this.getPov();
     const h = heading ?? currentPov.heading;
     const p = (pitch ?? currentPov.pitch) + 90; // Convert to URL format
+    const y = Math.round(this.zoomToFov(zoom ?? currentPov.zoom));
 
     // Construct Street View URL
-    const url = `https://www.google.com/maps/@${latLng.lat},${latLng.lng},3a,75y,${h}h,${p}t/data=!3m6!1e1!3m4!1s!2e0!7i16384!8i8192`;
+    const url = `https://www.google.com/maps/@${latLng.lat},${latLng.lng},3a,${y}y,${h}h,${p}t/data=!3m6!1e1!3m4!1s!2e0!7i16384!8i8192`;
     
     // Use history API to avoid full page reload
     history.pushState({}, '', url);
@@ -292,18 +309,21 @@ class StreetViewController {
   }
 
   /**
-   * Set point of view (heading/pitch)
+   * Set point of view (heading/pitch, optionally zoom)
    */
   async setPov(pov) {
     if (this.panorama?.setPov) {
-      this.panorama.setPov(pov);
+      this.panorama.setPov({ heading: pov.heading, pitch: pov.pitch });
+      if (pov.zoom !== undefined && this.panorama.setZoom) {
+        this.panorama.setZoom(pov.zoom);
+      }
       return true;
     }
 
     // Update via URL
     const pos = this.getPosition();
     if (pos) {
-      return this.navigateViaURL(pos, pov.heading, pov.pitch);
+      return this.navigateViaURL(pos, pov.heading, pov.pitch, pov.zoom);
     }
 
     return false;
@@ -361,6 +381,36 @@ class StreetViewController {
     return false;
   }
 
+  /**
+   * Move along a navigation link to the adjacent panorama
+   * @param {Object} link - Link from getLinks()
+   * @returns {boolean} Whether a move was started
+   */
+  followLink(link) {
+    if (link.pano && this.setPano(link.pano)) {
+      return true;
+    }
+
+    if (link.element) {
+      link.element.click();
+      return true;
+    }
+
+    return this.clickNavigationArrow(link.heading);
+  }
+
+  /**
+   * Switch to a panorama by ID
+   * @returns {boolean} Whether the panorama API was available
+   */
+  setPano(panoId) {
+    if (this.panorama?.setPano) {
+      this.panorama.setPano(panoId);
+      return true;
+    }
+    return false;
+  }
+
   /**
    * Wait for panorama to load
    */
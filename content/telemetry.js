@@ -0,0 +1,133 @@
+/**
+ * StreetFlix - Telemetry
+ * Per-frame playback measurements and rolling statistics for a session
+ *
+ * A frame is one move to the next panorama. A frame counts as dropped when
+ * its transition failed or took longer than the time the step should last
+ * at the target speed, which is when playback visibly falls behind.
+ */
+
+class Telemetry {
+  constructor(options = {}) {
+    this.fpsWindow = options.fpsWindow || 10000; // ms of frames the FPS covers
+    this.maxFrames = options.maxFrames || 5000;  // frames kept for export
+
+    this.frames = [];
+    this.startedAt = null;
+    this.totals = null;
+    this.reset();
+  }
+
+  /**
+   * Start a new session
+   */
+  reset() {
+    this.frames = [];
+    this.startedAt = Date.now();
+    this.totals = { frames: 0, dropped: 0, loadTimeouts: 0, cacheHits: 0, cacheMisses: 0 };
+  }
+
+  /**
+   * Record one frame
+   * @param {Object} frame - {index, distance, budget, transition, load,
+   *   loadTimedOut, cacheHit, success}; times in ms
+   * @returns {Object} The stored frame with its dropped flag
+   */
+  recordFrame(frame) {
+    const entry = {
+      ...frame,
+      time: performance.now(),
+      dropped: !frame.success || frame.transition > frame.budget
+    };
+
+    this.frames.push(entry);
+    if (this.frames.length > this.maxFrames) {
+      this.frames.shift();
+    }
+
+    this.totals.frames++;
+    if (entry.dropped) this.totals.dropped++;
+    if (frame.loadTimedOut) this.totals.loadTimeouts++;
+    if (frame.cacheHit) {
+      this.totals.cacheHits++;
+    } else {
+      this.totals.cacheMisses++;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Successful panorama changes per second over the recent window
+   */
+  getFps() {
+    const since = performance.now() - this.fpsWindow;
+    const recent = this.frames.filter(frame => frame.time >= since && frame.success);
+    if (recent.length < 2) return 0;
+
+    const span = recent[recent.length - 1].time - recent[0].time;
+    return span > 0 ? ((recent.length - 1) / span) * 1000 : 0;
+  }
+
+  /**
+   * Rolling statistics for the whole session
+   */
+  getSummary() {
+    const { frames, dropped, loadTimeouts, cacheHits, cacheMisses } = this.totals;
+    const lookups = cacheHits + cacheMisses;
+
+    return {
+      frames,
+      dropped,
+      droppedRate: frames ? dropped / frames : 0,
+      fps: this.getFps(),
+      transition: this.summarize(this.frames.map(frame => frame.transition)),
+      load: {
+        ...this.summarize(this.frames.map(frame => frame.load)),
+        timeouts: loadTimeouts
+      },
+      cache: {
+        hits: cacheHits,
+        misses: cacheMisses,
+        hitRate: lookups ? cacheHits / lookups : 0
+      }
+    };
+  }
+
+  /**
+   * Average, 95th percentile and maximum of a list of timings
+   */
+  summarize(values) {
+    const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+    if (!sorted.length) {
+      return { avg: 0, p95: 0, max: 0 };
+    }
+
+    const sum = sorted.reduce((total, value) => total + value, 0);
+    return {
+      avg: sum / sorted.length,
+      p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+      max: sorted[sorted.length - 1]
+    };
+  }
+
+  /**
+   * Export the session with its frames
+   */
+  toJSON() {
+    const first = this.frames[0]?.time ?? 0;
+
+    return {
+      startedAt: new Date(this.startedAt).toISOString(),
+      exportedAt: new Date().toISOString(),
+      summary: this.getSummary(),
+      frames: this.frames.map(frame => ({
+        ...frame,
+        time: Math.round(frame.time - first)
+      }))
+    };
+  }
+}
+
+// Export
+window.Telemetry = Telemetry;
@@ -1,6 +1,11 @@
 /**
  * StreetFlix - Transition Engine
  * Smooth transitions between Street View panoramas
+ *
+ * With auto timing, a transition is fitted to the frame it covers: when the
+ * duration setting plus the fixed cover and render delays would take more than
+ * `budgetShare` of the time the step lasts at the current speed, all of them
+ * shrink by the same factor, never below `minDuration` for the fade itself.
  */
 
 class TransitionEngine {
@@ -8,14 +13,27 @@ class TransitionEngine {
     this.controller = streetViewController;
     this.overlay = null;
     this.canvas = null;
+    this.canvasTainted = false;
+    this.frameCapture = new FrameCapture();
     this.isTransitioning = false;
+    this.lastTiming = null; // {style, capture, load, loadTimedOut, total} of the last transition (ms)
     
     this.settings = {
       enabled: true,
       duration: 300,
-      easing: 'ease-out',
-      fadeOpacity: 0.8
+      easing: 'cubic',     // see Easing.curves, or 'bezier'
+      easingBezier: null,  // [x1, y1, x2, y2] for the bezier easing
+      fadeOpacity: 0.8,
+      style: 'crossfade', // see TransitionStyles
+      autoTiming: true,   // fit transitions into the frame budget
+      budgetShare: 0.5,   // part of the frame budget a transition may use
+      minDuration: 80     // ms, shortest fade auto timing allows
     };
+
+    this.coverDelay = 50;   // ms the cover is shown before moving
+    this.renderDelay = 100; // ms after load before revealing
+    this.easing = Easing.get(this.settings.easing);
+    this.timing = this.getTiming();
     
     this.createOverlay();
   }
@@ -36,7 +54,7 @@ class TransitionEngine {
         opacity: '0',
         pointerEvents: 'none',
         zIndex: '9999',
-        transition: `opacity ${this.settings.duration}ms ${this.settings.easing}`
+        transition: this.getOpacityTransition()
       }
     });
 
@@ -53,7 +71,7 @@ class TransitionEngine {
         opacity: '0',
         pointerEvents: 'none',
         zIndex: '9998',
-        transition: `opacity ${this.settings.duration}ms ${this.settings.easing}`
+        transition: this.getOpacityTransition()
       }
     });
 
@@ -97,88 +115,103 @@ class TransitionEngine {
 
   /**
    * Capture current frame from canvas
+   * Falls back to a tab capture cropped to the canvas when it is tainted.
+   * @returns {Promise<string|null>} Image data URL
    */
-  captureFrame() {
+  async captureFrame() {
     const canvas = this.findCanvas();
     if (!canvas) {
       console.warn('[StreetFlix] Could not find canvas for frame capture');
       return null;
     }
 
-    try {
-      return canvas.toDataURL('image/jpeg', 0.85);
-    } catch (e) {
-      // Canvas may be tainted (cross-origin)
-      console.warn('[StreetFlix] Cannot capture frame (cross-origin):', e.message);
-      return null;
+    if (!this.canvasTainted) {
+      try {
+        return canvas.toDataURL('image/jpeg', 0.85);
+      } catch (e) {
+        // Canvas is tainted (cross-origin); it stays that way, so stop trying
+        console.warn('[StreetFlix] Cannot capture frame (cross-origin), using tab capture:', e.message);
+        this.canvasTainted = true;
+      }
     }
+
+    return this.frameCapture.capture(this.getViewKey(), canvas.getBoundingClientRect());
+  }
+
+  /**
+   * Identify the current view for the frame cache
+   */
+  getViewKey() {
+    const pov = this.controller.getPov();
+    const position = this.controller.getPosition();
+    const place = this.controller.getPanoId() ||
+      (position ? `${position.lat.toFixed(5)},${position.lng.toFixed(5)}` : '');
+    return `${place}@${Math.round(pov.heading)},${Math.round(pov.pitch)},${(pov.zoom ?? 1).toFixed(1)}`;
   }
 
   /**
    * Perform smooth transition to new position
+   * The chosen style covers the move; see TransitionStyles for the lifecycle.
    * @param {Object} targetPosition - {lat, lng}
    * @param {number} targetHeading - Heading in degrees
+   * @param {Object} view - Camera {pitch, zoom} to set with the heading
+   * @param {Object} options - {style} to override the style setting, {budget}
+   *   ms the frame lasts for auto timing
    */
-  async transitionTo(targetPosition, targetHeading = null) {
+  async transitionTo(targetPosition, targetHeading = null, view = {}, options = {}) {
     if (this.isTransitioning) {
       console.log('[StreetFlix] Transition already in progress');
       return false;
     }
 
+    const started = performance.now();
+    this.lastTiming = null;
+
     if (!this.settings.enabled) {
       // Just move without transition
       await this.controller.setPosition(targetPosition);
-      if (targetHeading !== null) {
-        await this.controller.setPov({ heading: targetHeading, pitch: 0 });
-      }
+      await this.setView(targetHeading, view);
+      this.lastTiming = { style: 'none', capture: 0, load: 0, loadTimedOut: false, total: performance.now() - started };
       return true;
     }
 
     this.isTransitioning = true;
+    this.timing = this.getTiming(options.budget);
+    const style = TransitionStyles.get(options.style || this.settings.style);
+    let state = null;
 
     try {
-      // Step 1: Capture current frame
-      const capturedFrame = this.captureFrame();
-
-      // Step 2: Show captured frame as overlay
-      if (capturedFrame) {
-        this.imageOverlay.src = capturedFrame;
-        this.imageOverlay.style.opacity = '1';
-      } else {
-        // Fallback: use black fade
-        this.overlay.style.opacity = String(this.settings.fadeOpacity);
-      }
+      // Step 1: Cover the current view
+      state = await style.capture(this, options);
+      const captured = performance.now();
 
-      // Step 3: Wait a bit for overlay to appear
-      await this.delay(50);
-
-      // Step 4: Move Street View (hidden behind overlay)
+      // Step 2: Move Street View (hidden behind the cover)
       await this.controller.setPosition(targetPosition);
-      
-      // Step 5: Set heading if provided
-      if (targetHeading !== null) {
-        await this.controller.setPov({ heading: targetHeading, pitch: 0 });
-      }
+      await this.setView(targetHeading, view);
+      const moved = performance.now();
 
-      // Step 6: Wait for new panorama to load
-      await this.controller.waitForLoad(2000);
+      // Step 3: Wait for new panorama to load
+      const loaded = await this.controller.waitForLoad(2000);
+      const load = performance.now() - moved;
       
       // Small extra delay for render
-      await this.delay(100);
+      await this.delay(this.scaled(this.renderDelay));
 
-      // Step 7: Fade out overlay
-      this.imageOverlay.style.opacity = '0';
-      this.overlay.style.opacity = '0';
-
-      // Step 8: Wait for fade to complete
-      await this.delay(this.settings.duration);
+      // Step 4: Uncover the new view
+      await style.reveal(this, state, options);
 
+      this.lastTiming = {
+        style: style.name,
+        capture: captured - started,
+        load,
+        loadTimedOut: !loaded,
+        total: performance.now() - started
+      };
       return true;
 
     } catch (error) {
       console.error('[StreetFlix] Transition error:', error);
-      this.imageOverlay.style.opacity = '0';
-      this.overlay.style.opacity = '0';
+      style.cleanup(this, state);
       return false;
 
     } finally {
@@ -186,13 +219,104 @@ class TransitionEngine {
     }
   }
 
+  /**
+   * Fit the transition timing to a frame budget
+   * @param {number} budget - ms the frame lasts, null for the duration setting as is
+   * @returns {Object} {scale, duration}; scale applies to the fixed delays
+   */
+  getTiming(budget = null) {
+    const { duration, autoTiming, budgetShare, minDuration } = this.settings;
+    if (!autoTiming || !budget) {
+      return { scale: 1, duration };
+    }
+
+    const full = duration + this.coverDelay + this.renderDelay;
+    const scale = Math.min(1, (budget * budgetShare) / full);
+    return { scale, duration: Math.max(Math.min(minDuration, duration), Math.round(duration * scale)) };
+  }
+
+  /**
+   * Scale a fixed delay to the current transition's timing
+   * @param {number} ms - Delay at full timing
+   */
+  scaled(ms) {
+    return Math.round(ms * this.timing.scale);
+  }
+
+  /**
+   * CSS opacity transition with the current duration and easing
+   */
+  getOpacityTransition(duration = this.timing.duration) {
+    return `opacity ${duration}ms ${this.easing.css}`;
+  }
+
+  /**
+   * Get the timing of the last transition and clear it
+   * @returns {Object|null} See lastTiming
+   */
+  takeTiming() {
+    const timing = this.lastTiming;
+    this.lastTiming = null;
+    return timing;
+  }
+
+  /**
+   * Show a captured frame over the view at once
+   * @param {string} frame - Image URL
+   */
+  showFrame(frame) {
+    this.imageOverlay.style.transition = 'none';
+    this.imageOverlay.src = frame;
+    this.imageOverlay.style.opacity = '1';
+  }
+
+  /**
+   * Fade an overlay to an opacity
+   * @param {HTMLElement} element - Overlay element
+   * @param {number} opacity - Target opacity
+   * @param {number} duration - Fade duration in ms
+   */
+  async fade(element, opacity, duration) {
+    element.style.transition = this.getOpacityTransition(duration);
+    element.style.opacity = String(opacity);
+    await this.delay(duration);
+  }
+
+  /**
+   * Hide both overlays immediately
+   */
+  hideOverlays() {
+    [this.imageOverlay, this.overlay].forEach(element => {
+      element.style.transition = 'none';
+      element.style.opacity = '0';
+    });
+  }
+
+  /**
+   * Point the camera after a move
+   * @param {number|null} heading - Heading in degrees, null to keep the current one
+   * @param {Object} view - {pitch, zoom}; without a pitch only the heading is set
+   */
+  async setView(heading, view = {}) {
+    if (heading === null && view.pitch === undefined) return;
+
+    const pov = {
+      heading: heading ?? this.controller.getPov().heading,
+      pitch: view.pitch ?? 0
+    };
+    if (view.zoom !== undefined) {
+      pov.zoom = view.zoom;
+    }
+    await this.controller.setPov(pov);
+  }
+
   /**
    * Animate heading change smoothly
    * @param {number} fromHeading - Starting heading
    * @param {number} toHeading - Target heading
    * @param {number} duration - Animation duration in ms
    */
-  async animateHeading(fromHeading, toHeading, duration = 300) {
+  async animateHeading(fromHeading, toHeading, duration = this.timing.duration) {
     const startTime = performance.now();
     const headingDiff = GeoUtils.normalizeHeadingDiff(fromHeading, toHeading);
 
@@ -201,9 +325,8 @@ class TransitionEngine {
         const elapsed = performance.now() - startTime;
         const progress = Math.min(elapsed / duration, 1);
         
-        // Ease out cubic
-        const eased = 1 - Math.pow(1 - progress, 3);
-        
+        const eased = this.easing.fn(progress);
+
         const currentHeading = fromHeading + (headingDiff * eased);
         this.controller.setPov({ heading: currentHeading, pitch: 0 });
 
@@ -218,81 +341,17 @@ class TransitionEngine {
     });
   }
 
-  /**
-   * Perform crossfade between two frames
-   * @param {string} fromImage - Data URL of starting frame
-   * @param {string} toImage - Data URL of ending frame
-   * @param {number} duration - Transition duration in ms
-   */
-  async crossfade(fromImage, toImage, duration = 300) {
-    // Create temporary image elements
-    const fromEl = DOMHelpers.createElement('img', {
-      style: {
-        position: 'fixed',
-        top: '0',
-        left: '0',
-        width: '100%',
-        height: '100%',
-        objectFit: 'cover',
-        zIndex: '9997',
-        opacity: '1'
-      }
-    });
-    fromEl.src = fromImage;
-
-    const toEl = DOMHelpers.createElement('img', {
-      style: {
-        position: 'fixed',
-        top: '0',
-        left: '0',
-        width: '100%',
-        height: '100%',
-        objectFit: 'cover',
-        zIndex: '9996',
-        opacity: '0',
-        transition: `opacity ${duration}ms ${this.settings.easing}`
-      }
-    });
-    toEl.src = toImage;
-
-    document.body.appendChild(fromEl);
-    document.body.appendChild(toEl);
-
-    // Trigger crossfade
-    await this.delay(50);
-    fromEl.style.transition = `opacity ${duration}ms ${this.settings.easing}`;
-    fromEl.style.opacity = '0';
-    toEl.style.opacity = '1';
-
-    // Wait for transition
-    await this.delay(duration);
-
-    // Cleanup
-    fromEl.remove();
-    toEl.remove();
-  }
-
-  /**
-   * Quick flash transition (faster, simpler)
-   */
-  async flashTransition() {
-    this.overlay.style.transition = 'opacity 100ms ease-out';
-    this.overlay.style.opacity = '0.5';
-    await this.delay(100);
-    this.overlay.style.opacity = '0';
-    await this.delay(100);
-    this.overlay.style.transition = `opacity ${this.settings.duration}ms ${this.settings.easing}`;
-  }
-
   /**
    * Update settings
    */
   updateSettings(newSettings) {
     Object.assign(this.settings, newSettings);
+    this.easing = Easing.get(this.settings.easing, this.settings.easingBezier);
+    this.timing = this.getTiming();
     
     // Update overlay transition
-    this.overlay.style.transition = `opacity ${this.settings.duration}ms ${this.settings.easing}`;
-    this.imageOverlay.style.transition = `opacity ${this.settings.duration}ms ${this.settings.easing}`;
+    this.overlay.style.transition = this.getOpacityTransition();
+    this.imageOverlay.style.transition = this.getOpacityTransition();
   }
 
   /**
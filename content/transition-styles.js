@@ -0,0 +1,293 @@
+/**
+ * StreetFlix - Transition Styles
+ * Named ways of hiding the jump from one panorama to the next
+ *
+ * TransitionEngine runs every style through the same lifecycle:
+ *   capture - cover the current view before it moves, returning any state
+ *   move    - (engine) set the new position and camera
+ *   wait    - (engine) wait for the new panorama to load
+ *   reveal  - uncover the new view
+ * If the move fails, `cleanup` runs instead of `reveal`.
+ * Durations come from `engine.timing` and fixed delays go through
+ * `engine.scaled`, so auto timing can fit every style into a short frame.
+ */
+
+/**
+ * Base style: a plain cut, nothing covers the move
+ */
+class TransitionStyle {
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+  }
+
+  /**
+   * Cover the current view
+   * @param {TransitionEngine} engine
+   * @param {Object} options - Transition options passed to transitionTo
+   * @returns {Promise<*>} State handed to reveal and cleanup
+   */
+  async capture(engine, options) {
+    return null;
+  }
+
+  /**
+   * Uncover the new view once it has loaded
+   */
+  async reveal(engine, state, options) {}
+
+  /**
+   * Remove anything capture left on screen
+   */
+  cleanup(engine, state) {
+    engine.hideOverlays();
+  }
+}
+
+/**
+ * Snapshot of the old view fading into the new one, black fade if no snapshot
+ */
+class CrossfadeStyle extends TransitionStyle {
+  constructor() {
+    super('crossfade', 'Crossfade');
+  }
+
+  async capture(engine) {
+    const frame = await engine.captureFrame();
+    if (frame) {
+      engine.showFrame(frame);
+      await engine.delay(engine.scaled(engine.coverDelay));
+    } else {
+      await engine.fade(engine.overlay, engine.settings.fadeOpacity, engine.scaled(engine.coverDelay));
+    }
+    return { frame };
+  }
+
+  async reveal(engine) {
+    await Promise.all([
+      engine.fade(engine.imageOverlay, 0, engine.timing.duration),
+      engine.fade(engine.overlay, 0, engine.timing.duration)
+    ]);
+  }
+}
+
+/**
+ * Fade to black, move, fade back in
+ */
+class BlackDipStyle extends TransitionStyle {
+  constructor() {
+    super('dip', 'Dip to black');
+  }
+
+  async capture(engine) {
+    await engine.fade(engine.overlay, 1, engine.timing.duration / 2);
+    return null;
+  }
+
+  async reveal(engine) {
+    await engine.fade(engine.overlay, 0, engine.timing.duration / 2);
+  }
+}
+
+/**
+ * Short white flash over the cut, like a camera flash
+ */
+class FlashStyle extends TransitionStyle {
+  constructor() {
+    super('flash', 'Flash');
+  }
+
+  async capture(engine) {
+    engine.overlay.style.backgroundColor = '#fff';
+    await engine.fade(engine.overlay, 0.85, engine.scaled(80));
+    return null;
+  }
+
+  async reveal(engine) {
+    await engine.fade(engine.overlay, 0, engine.timing.duration);
+    engine.overlay.style.backgroundColor = '#000';
+  }
+
+  cleanup(engine, state) {
+    super.cleanup(engine, state);
+    engine.overlay.style.backgroundColor = '#000';
+  }
+}
+
+/**
+ * Old view slides off to the right, uncovering the new one
+ */
+class WipeStyle extends TransitionStyle {
+  constructor() {
+    super('wipe', 'Wipe');
+  }
+
+  async capture(engine) {
+    const frame = await engine.captureFrame();
+    const element = frame ? engine.imageOverlay : engine.overlay;
+
+    element.style.clipPath = 'inset(0 0 0 0)';
+    if (frame) {
+      engine.showFrame(frame);
+    } else {
+      engine.overlay.style.transition = 'none';
+      engine.overlay.style.opacity = '1';
+    }
+    await engine.delay(engine.scaled(engine.coverDelay));
+    return { element };
+  }
+
+  async reveal(engine, state) {
+    const { element } = state;
+    element.style.transition = `clip-path ${engine.timing.duration}ms ${engine.easing.css}`;
+    element.style.clipPath = 'inset(0 0 0 100%)';
+    await engine.delay(engine.timing.duration);
+    this.cleanup(engine, state);
+  }
+
+  cleanup(engine, state) {
+    super.cleanup(engine, state);
+    if (state) state.element.style.clipPath = '';
+  }
+}
+
+/**
+ * Old view zooms and blurs toward the vanishing point, as if driving into it,
+ * then crossfades into the new view
+ * Uses the transition options {distance, budget, travelHeading}: a longer step
+ * zooms further, and the zoom lasts about half the frame, shortened further
+ * when auto timing scales the transition down.
+ */
+class DollyZoomStyle extends TransitionStyle {
+  constructor() {
+    super('dolly', 'Dolly zoom');
+    this.sceneDepth = 60;  // meters to the scene the frame zooms into
+    this.maxScale = 1.6;
+    this.maxBlur = 6;      // px at the largest zoom
+    this.minDuration = 150; // ms
+    this.maxDuration = 1500; // ms
+  }
+
+  async capture(engine, options) {
+    const frame = await engine.captureFrame();
+    if (!frame) {
+      // Nothing to zoom into: cover the move with the black fade crossfade
+      // falls back to, without trying to capture the frame a second time
+      await engine.fade(engine.overlay, engine.settings.fadeOpacity, engine.scaled(engine.coverDelay));
+      return { fallback: true };
+    }
+
+    const overlay = engine.imageOverlay;
+    const scale = Math.min(this.maxScale, 1 + (options.distance || 0) / this.sceneDepth);
+    const blur = ((scale - 1) / (this.maxScale - 1)) * this.maxBlur;
+    const duration = this.getDuration(engine, options);
+
+    engine.showFrame(frame);
+    overlay.style.transformOrigin = this.getVanishingPoint(engine, options.travelHeading);
+    await engine.delay(engine.scaled(20)); // let the frame paint before it starts moving
+
+    overlay.style.transition = `transform ${duration}ms ease-in, filter ${duration}ms ease-in`;
+    overlay.style.transform = `scale(${scale})`;
+    overlay.style.filter = `blur(${blur.toFixed(1)}px)`;
+
+    return { scale, duration, startedAt: performance.now() };
+  }
+
+  async reveal(engine, state, options) {
+    if (state.fallback) {
+      return TransitionStyles.get('crossfade').reveal(engine, state, options);
+    }
+
+    // Finish the zoom if the panorama loaded first
+    const remaining = state.duration - (performance.now() - state.startedAt);
+    if (remaining > 0) {
+      await engine.delay(remaining);
+    }
+
+    // Keep drifting forward while fading so the motion does not stall
+    const overlay = engine.imageOverlay;
+    const fade = Math.min(engine.timing.duration, state.duration);
+    overlay.style.transition = `opacity ${fade}ms ${engine.easing.css}, transform ${fade}ms linear`;
+    overlay.style.transform = `scale(${state.scale * 1.05})`;
+    overlay.style.opacity = '0';
+    await engine.delay(fade);
+
+    this.cleanup(engine, state);
+  }
+
+  cleanup(engine, state) {
+    super.cleanup(engine, state);
+    Object.assign(engine.imageOverlay.style, { transform: '', filter: '', transformOrigin: '' });
+  }
+
+  /**
+   * Zoom duration: half the frame budget, scaled like the other delays
+   */
+  getDuration(engine, options) {
+    if (!options.budget) {
+      return engine.timing.duration;
+    }
+
+    const duration = Math.max(this.minDuration, Math.min(this.maxDuration, options.budget / 2));
+    return engine.scaled(duration);
+  }
+
+  /**
+   * Where the travel direction meets the horizon on screen, as a CSS position
+   * @param {TransitionEngine} engine
+   * @param {number} travelHeading - Heading of travel, null for the view center
+   */
+  getVanishingPoint(engine, travelHeading) {
+    const pov = engine.controller.getPov();
+    const hfov = engine.controller.zoomToFov(pov.zoom ?? 1);
+    const vfov = hfov * (window.innerHeight / window.innerWidth);
+    const clamp = value => Math.max(0, Math.min(100, value));
+
+    const turn = travelHeading === null || travelHeading === undefined ? 0 :
+      GeoUtils.normalizeHeadingDiff(pov.heading, travelHeading);
+    const x = clamp(50 + (turn / hfov) * 100);
+    const y = clamp(50 + ((pov.pitch || 0) / vfov) * 100);
+
+    return `${x.toFixed(1)}% ${y.toFixed(1)}%`;
+  }
+}
+
+const TransitionStyles = {
+  styles: {},
+
+  /**
+   * Add a style, replacing any with the same name
+   * @param {TransitionStyle} style
+   */
+  register(style) {
+    this.styles[style.name] = style;
+  },
+
+  /**
+   * Get a style by name
+   * @param {string} name - Style name (crossfade, dip, flash, wipe, dolly, cut)
+   * @returns {TransitionStyle} The style, or crossfade if unknown
+   */
+  get(name) {
+    return this.styles[name] || this.styles.crossfade;
+  },
+
+  /**
+   * List registered styles for settings menus
+   * @returns {Array} [{name, label}]
+   */
+  list() {
+    return Object.values(this.styles).map(style => ({ name: style.name, label: style.label }));
+  }
+};
+
+TransitionStyles.register(new CrossfadeStyle());
+TransitionStyles.register(new BlackDipStyle());
+TransitionStyles.register(new FlashStyle());
+TransitionStyles.register(new WipeStyle());
+TransitionStyles.register(new DollyZoomStyle());
+TransitionStyles.register(new TransitionStyle('cut', 'Cut'));
+
+// Export
+window.TransitionStyle = TransitionStyle;
+window.TransitionStyles = TransitionStyles;
@@ -0,0 +1,147 @@
+/**
+ * StreetFlix - Wanderer
+ * Explore without a route by picking Street View links one step at a time
+ *
+ * Links are scored on how straight they continue, whether their panorama
+ * was seen recently and, with a radius set, whether they head back toward
+ * the start once the walk strays too far.
+ */
+
+class Wanderer {
+  constructor(controller, options = {}) {
+    this.controller = controller;
+    this.walker = new LinkNavigator(controller);
+
+    this.radius = options.radius || 0;   // meters around the start, 0 for no limit
+    this.memory = options.memory || 150; // steps before a visited panorama is forgotten
+
+    this.origin = null;
+    this.heading = 0;
+    this.stepCount = 0;
+    this.distance = 0;
+    this.visited = new Map(); // panoId -> step it was last seen at
+  }
+
+  /**
+   * Start wandering from the current panorama
+   * @returns {boolean} Whether the current position is known
+   */
+  start() {
+    const state = this.walker.getState();
+    if (!state.position) return false;
+
+    this.origin = state.position;
+    this.heading = this.controller.getPov().heading;
+    this.stepCount = 0;
+    this.distance = 0;
+    this.visited.clear();
+    this.remember(state.panoId);
+    return true;
+  }
+
+  /**
+   * Set the radius to stay within around the start point
+   * @param {number} radius - Meters, 0 for no limit
+   */
+  setRadius(radius) {
+    this.radius = Math.max(0, radius || 0);
+  }
+
+  /**
+   * Take one step along the best scoring link
+   * @returns {Promise<Object|null>} {heading, distance} of the step, or null if stuck
+   */
+  async step() {
+    const from = this.walker.getState();
+    const link = this.pickLink(from.position);
+    if (!link) return null;
+
+    const to = await this.walker.follow(link, from);
+    if (!to) return null;
+
+    const distance = GeoUtils.calculateDistance(from.position, to.position);
+    this.heading = link.heading;
+    this.distance += distance;
+    this.stepCount++;
+    this.remember(to.panoId);
+
+    return { heading: link.heading, distance };
+  }
+
+  /**
+   * Score the available links and pick the best
+   */
+  pickLink(position) {
+    const links = this.controller.getLinks();
+    if (!links.length || !position) return null;
+
+    const fromOrigin = this.origin ? GeoUtils.calculateDistance(this.origin, position) : 0;
+    const homeward = this.origin ? GeoUtils.calculateHeading(position, this.origin) : 0;
+
+    // Past 80% of the radius, pull back toward the start, harder the further out
+    const pull = this.radius ? Math.max(0, (fromOrigin / this.radius - 0.8) * 5) : 0;
+
+    let best = null;
+    let bestScore = -Infinity;
+
+    links.forEach(link => {
+      const turn = Math.abs(GeoUtils.normalizeHeadingDiff(this.heading, link.heading));
+
+      // Prefer going straight; a U-turn is a last resort
+      let score = 1 - turn / 180;
+      if (turn > 150) score -= 1;
+
+      score -= this.getVisitPenalty(link.pano);
+
+      if (pull > 0) {
+        const offHome = Math.abs(GeoUtils.normalizeHeadingDiff(homeward, link.heading));
+        score += pull * (1 - offHome / 90);
+      }
+
+      // A little randomness so junctions are not always resolved the same way
+      score += Math.random() * 0.15;
+
+      if (score > bestScore) {
+        bestScore = score;
+        best = link;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Penalty for a recently seen panorama, fading as it is forgotten
+   */
+  getVisitPenalty(panoId) {
+    if (!panoId || !this.visited.has(panoId)) return 0;
+
+    const age = this.stepCount - this.visited.get(panoId);
+    return Math.max(0, 1 - age / this.memory) * 1.5;
+  }
+
+  /**
+   * Record a panorama as seen and forget the ones past the memory
+   */
+  remember(panoId) {
+    if (!panoId) return;
+    this.visited.set(panoId, this.stepCount);
+
+    if (this.stepCount % 50 === 0) {
+      this.visited.forEach((step, id) => {
+        if (this.stepCount - step > this.memory) this.visited.delete(id);
+      });
+    }
+  }
+
+  /**
+   * Straight-line distance from the start point
+   */
+  getDistanceFromOrigin() {
+    const position = this.controller.getPosition();
+    return this.origin && position ? GeoUtils.calculateDistance(this.origin, position) : 0;
+  }
+}
+
+// Export
+window.Wanderer = Wanderer;
@@ -7,7 +7,9 @@ class PopupController {
   constructor() {
     this.currentSpeed = 'cycling';
     this.isPlaying = false;
+    this.isWandering = false;
     this.hasRoute = false;
+    this.libraryRoutes = [];
     
     this.init();
   }
@@ -17,6 +19,9 @@ class PopupController {
     this.bindEvents();
     this.loadState();
     this.checkStreetViewStatus();
+
+    // Opening the popup grants activeTab, so tab captures work again
+    this.sendMessage('allowCapture');
   }
 
   bindElements() {
@@ -28,23 +33,66 @@ class PopupController {
     // Route
     this.btnSetStart = document.getElementById('btn-set-start');
     this.btnSetEnd = document.getElementById('btn-set-end');
+    this.btnAddVia = document.getElementById('btn-add-via');
     this.btnCaptureRoute = document.getElementById('btn-capture-route');
+    this.btnImportRoute = document.getElementById('btn-import-route');
+    this.btnExportRoute = document.getElementById('btn-export-route');
+    this.routeFileInput = document.getElementById('route-file-input');
+    this.exportFormat = document.getElementById('export-format');
+    this.btnShareRoute = document.getElementById('btn-share-route');
+    this.btnCheckCoverage = document.getElementById('btn-check-coverage');
     this.routeInfo = document.getElementById('route-info');
     this.startPoint = document.getElementById('start-point');
     this.endPoint = document.getElementById('end-point');
     this.waypointCount = document.getElementById('waypoint-count');
+    this.coverageRow = document.getElementById('coverage-row');
+    this.coverage = document.getElementById('coverage');
+    this.currentLegRow = document.getElementById('current-leg-row');
+    this.currentLeg = document.getElementById('current-leg');
+    this.stopList = document.getElementById('stop-list');
+    this.legList = document.getElementById('leg-list');
+    this.currentChapterRow = document.getElementById('current-chapter-row');
+    this.currentChapter = document.getElementById('current-chapter');
+    this.chapterList = document.getElementById('chapter-list');
+    this.chapterName = document.getElementById('chapter-name');
+    this.btnAddChapter = document.getElementById('btn-add-chapter');
+    this.keyframeList = document.getElementById('keyframe-list');
+    this.btnAddKeyframe = document.getElementById('btn-add-keyframe');
+    this.targetList = document.getElementById('target-list');
+    this.targetPosition = document.getElementById('target-position');
+    this.targetRadius = document.getElementById('target-radius');
+    this.btnAddTarget = document.getElementById('btn-add-target');
 
     // Speed
     this.speedBtns = document.querySelectorAll('.speed-btn');
 
     // Playback
+    this.btnResume = document.getElementById('btn-resume');
     this.btnPlay = document.getElementById('btn-play');
     this.btnPause = document.getElementById('btn-pause');
     this.btnStop = document.getElementById('btn-stop');
+    this.btnPrevChapter = document.getElementById('btn-prev-chapter');
+    this.btnNextChapter = document.getElementById('btn-next-chapter');
+    this.repeatMode = document.getElementById('repeat-mode');
+    this.btnWander = document.getElementById('btn-wander');
+    this.wanderRadius = document.getElementById('wander-radius');
 
     // Progress
     this.progressFill = document.getElementById('progress-fill');
     this.progressText = document.getElementById('progress-text');
+    this.bufferContainer = document.getElementById('buffer-container');
+    this.bufferFill = document.getElementById('buffer-fill');
+    this.bufferText = document.getElementById('buffer-text');
+
+    // Route library
+    this.libraryToggle = document.getElementById('library-toggle');
+    this.libraryContent = document.getElementById('library-content');
+    this.libraryName = document.getElementById('library-name');
+    this.libraryTags = document.getElementById('library-tags');
+    this.btnSaveRoute = document.getElementById('btn-save-route');
+    this.librarySearch = document.getElementById('library-search');
+    this.libraryList = document.getElementById('library-list');
+    this.libraryEmpty = document.getElementById('library-empty');
 
     // Settings
     this.settingsToggle = document.getElementById('settings-toggle');
@@ -52,14 +100,41 @@ class PopupController {
     this.smoothTransitions = document.getElementById('smooth-transitions');
     this.transitionSpeed = document.getElementById('transition-speed');
     this.transitionValue = document.getElementById('transition-value');
+    this.transitionStyle = document.getElementById('transition-style');
+    this.transitionEasing = document.getElementById('transition-easing');
+    this.transitionBezierRow = document.getElementById('transition-bezier-row');
+    this.transitionBezier = document.getElementById('transition-bezier');
+    this.autoTransitionTiming = document.getElementById('auto-transition-timing');
     this.autoHeading = document.getElementById('auto-heading');
+    this.headingLookAhead = document.getElementById('heading-look-ahead');
+    this.snapPanoramas = document.getElementById('snap-panoramas');
+    this.navigationMode = document.getElementById('navigation-mode');
+    this.routingProvider = document.getElementById('routing-provider');
+    this.routingEndpoint = document.getElementById('routing-endpoint');
+    this.showHud = document.getElementById('show-hud');
+    this.btnExportTelemetry = document.getElementById('btn-export-telemetry');
   }
 
   bindEvents() {
     // Route buttons
     this.btnSetStart.addEventListener('click', () => this.setPoint('start'));
     this.btnSetEnd.addEventListener('click', () => this.setPoint('end'));
+    this.btnAddVia.addEventListener('click', () => this.setPoint('via'));
     this.btnCaptureRoute.addEventListener('click', () => this.captureRoute());
+    this.btnImportRoute.addEventListener('click', () => this.routeFileInput.click());
+    this.btnExportRoute.addEventListener('click', () => this.exportRoute(this.exportFormat.value));
+    this.routeFileInput.addEventListener('change', () => this.importRoute());
+    this.btnShareRoute.addEventListener('click', () => this.copyShareLink());
+    this.btnCheckCoverage.addEventListener('click', () => this.checkCoverage());
+    this.btnAddChapter.addEventListener('click', () => this.addChapter());
+    this.chapterName.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.addChapter();
+    });
+    this.btnAddKeyframe.addEventListener('click', () => this.addKeyframe());
+    this.btnAddTarget.addEventListener('click', () => this.addTarget());
+    this.targetPosition.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.addTarget();
+    });
 
     // Speed buttons
     this.speedBtns.forEach(btn => {
@@ -67,12 +142,27 @@ class PopupController {
     });
 
     // Playback buttons
+    this.btnResume.addEventListener('click', () => this.resumeSession());
     this.btnPlay.addEventListener('click', () => this.play());
     this.btnPause.addEventListener('click', () => this.pause());
     this.btnStop.addEventListener('click', () => this.stop());
+    this.btnPrevChapter.addEventListener('click', () => this.skipChapter(-1));
+    this.btnNextChapter.addEventListener('click', () => this.skipChapter(1));
+    this.repeatMode.addEventListener('change', () => this.updateSettings());
+    this.btnWander.addEventListener('click', () => this.wander());
+    this.wanderRadius.addEventListener('change', () => this.updateSettings());
+
+    // Route library
+    this.libraryToggle.addEventListener('click', () => {
+      if (this.toggleSection(this.libraryToggle, this.libraryContent)) {
+        this.loadLibrary();
+      }
+    });
+    this.btnSaveRoute.addEventListener('click', () => this.saveCurrentRoute());
+    this.librarySearch.addEventListener('input', () => this.renderLibrary());
 
     // Settings toggle
-    this.settingsToggle.addEventListener('click', () => this.toggleSettings());
+    this.settingsToggle.addEventListener('click', () => this.toggleSection(this.settingsToggle, this.settingsContent));
 
     // Settings changes
     this.transitionSpeed.addEventListener('input', (e) => {
@@ -81,7 +171,21 @@ class PopupController {
     });
 
     this.smoothTransitions.addEventListener('change', () => this.updateSettings());
+    this.transitionStyle.addEventListener('change', () => this.updateSettings());
+    this.transitionEasing.addEventListener('change', () => {
+      this.updateEasingInput();
+      this.updateSettings();
+    });
+    this.transitionBezier.addEventListener('change', () => this.updateSettings());
+    this.autoTransitionTiming.addEventListener('change', () => this.updateSettings());
     this.autoHeading.addEventListener('change', () => this.updateSettings());
+    this.headingLookAhead.addEventListener('change', () => this.updateSettings());
+    this.snapPanoramas.addEventListener('change', () => this.updateSettings());
+    this.navigationMode.addEventListener('change', () => this.updateSettings());
+    this.routingProvider.addEventListener('change', () => this.updateSettings());
+    this.routingEndpoint.addEventListener('change', () => this.setRoutingEndpoint());
+    this.showHud.addEventListener('change', () => this.updateSettings());
+    this.btnExportTelemetry.addEventListener('click', () => this.exportTelemetry());
 
     // Listen for messages from content script
     chrome.runtime.onMessage.addListener((msg, sender, respond) => {
@@ -106,6 +210,21 @@ class PopupController {
     }
   }
 
+  async sendBackground(type, data = {}) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type, ...data });
+      if (!response?.success) {
+        this.showStatus(response?.error || 'Route library error', 'error');
+        return null;
+      }
+      return response;
+    } catch (error) {
+      console.error('Background message error:', error);
+      this.showStatus('Could not reach the route library', 'error');
+      return null;
+    }
+  }
+
   handleMessage(msg) {
     switch (msg.type) {
       case 'status':
@@ -113,6 +232,9 @@ class PopupController {
         break;
       case 'progress':
         this.updateProgress(msg.progress);
+        if (msg.leg) this.updateCurrentLeg(msg.leg.index, msg.leg.name, msg.leg.count);
+        this.updateCurrentChapter(msg.chapter ? msg.chapter.index : -1);
+        if (msg.buffer) this.updateBuffer(msg.buffer);
         break;
       case 'routeUpdate':
         this.updateRouteInfo(msg.data);
@@ -135,13 +257,117 @@ class PopupController {
     const response = await this.sendMessage('setPoint', { type });
     
     if (response?.success) {
-      if (type === 'start') {
-        this.startPoint.textContent = response.location || 'Set';
+      this.updateRouteInfo(response);
+
+      if (this.routingProvider.value !== 'straight' && response.routedBy === 'straight') {
+        this.showStatus('Routing service unavailable, using a straight line', 'error');
       } else {
-        this.endPoint.textContent = response.location || 'Set';
+        const labels = { start: 'Start point', end: 'End point', via: 'Via point' };
+        this.showStatus(`${labels[type]} set!`, 'success');
       }
-      this.routeInfo.classList.remove('hidden');
-      this.showStatus(`${type === 'start' ? 'Start' : 'End'} point set!`, 'success');
+    }
+  }
+
+  async moveStop(from, to) {
+    const response = await this.sendMessage('moveStop', { from, to });
+    if (response?.success) {
+      this.updateRouteInfo(response);
+    }
+  }
+
+  async removeStop(index) {
+    const response = await this.sendMessage('removeStop', { index });
+    if (response?.success) {
+      this.updateRouteInfo(response);
+    }
+  }
+
+  async addChapter() {
+    const response = await this.sendMessage('addChapter', { name: this.chapterName.value.trim() });
+
+    if (response?.success) {
+      this.chapterName.value = '';
+      this.updateRouteInfo(response);
+      this.showStatus('Bookmark added', 'success');
+    } else if (response) {
+      this.showStatus(response.error || 'Could not add bookmark', 'error');
+    }
+  }
+
+  async removeChapter(index) {
+    const response = await this.sendMessage('removeChapter', { index });
+    if (response?.success) {
+      this.updateRouteInfo(response);
+    }
+  }
+
+  async setChapterTransition(index, style) {
+    const response = await this.sendMessage('setChapterTransition', { index, style });
+    if (response?.success) {
+      this.updateRouteInfo(response);
+    }
+  }
+
+  async jumpToChapter(index) {
+    const response = await this.sendMessage('jumpToChapter', { index });
+    if (response?.success) {
+      this.updateProgress(response.progress);
+      this.updateCurrentChapter(response.chapterIndex);
+    }
+  }
+
+  async addKeyframe() {
+    const response = await this.sendMessage('addKeyframe');
+
+    if (response?.success) {
+      this.updateRouteInfo(response);
+      this.showStatus('Camera keyframe added', 'success');
+    } else if (response) {
+      this.showStatus(response.error || 'Could not add keyframe', 'error');
+    }
+  }
+
+  async removeKeyframe(index) {
+    const response = await this.sendMessage('removeKeyframe', { index });
+    if (response?.success) {
+      this.updateRouteInfo(response);
+    }
+  }
+
+  async addTarget() {
+    const text = this.targetPosition.value.trim();
+    const match = text.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+    if (text && !match) {
+      this.showStatus('Enter the target as "lat, lng"', 'error');
+      return;
+    }
+
+    const response = await this.sendMessage('addTarget', {
+      position: match ? { lat: parseFloat(match[1]), lng: parseFloat(match[2]) } : null,
+      radius: parseInt(this.targetRadius.value)
+    });
+
+    if (response?.success) {
+      this.targetPosition.value = '';
+      this.updateRouteInfo(response);
+      this.showStatus('Look-at target pinned', 'success');
+    } else if (response) {
+      this.showStatus(response.error || 'Could not pin target', 'error');
+    }
+  }
+
+  async removeTarget(index) {
+    const response = await this.sendMessage('removeTarget', { index });
+    if (response?.success) {
+      this.updateRouteInfo(response);
+    }
+  }
+
+  async skipChapter(direction) {
+    const response = await this.sendMessage('skipChapter', { direction });
+    if (response?.success) {
+      this.updateProgress(response.progress);
+      this.updateCurrentChapter(response.chapterIndex);
     }
   }
 
@@ -151,18 +377,117 @@ class PopupController {
     
     if (response?.success) {
       this.updateRouteInfo(response);
+      if (response.speed) this.highlightSpeed(response.speed);
       this.showStatus(`Route captured! ${response.waypointCount} waypoints`, 'success');
     } else {
       this.showStatus(response?.error || 'Could not capture route. Make sure directions are visible.', 'error');
     }
   }
 
-  setSpeed(speed) {
+  async importRoute() {
+    const file = this.routeFileInput.files[0];
+    this.routeFileInput.value = '';
+    if (!file) return;
+
+    this.showStatus(`Importing ${file.name}...`);
+    const content = await file.text();
+    const response = await this.sendMessage('importRoute', { content, filename: file.name });
+
+    if (response?.success) {
+      this.updateRouteInfo(response);
+      const legs = response.legCount > 1 ? ` in ${response.legCount} legs` : '';
+      this.showStatus(`Route imported! ${response.waypointCount} waypoints${legs}`, 'success');
+    } else if (response) {
+      this.showStatus(response.error || 'Could not import route', 'error');
+    }
+  }
+
+  async exportRoute(format) {
+    const response = await this.sendMessage('exportRoute', { format });
+
+    if (response?.success) {
+      this.downloadFile(response.content, response.filename, response.mimeType);
+      this.showStatus(`Exported ${response.filename}`, 'success');
+    } else if (response) {
+      this.showStatus(response.error || 'Could not export route', 'error');
+    }
+  }
+
+  async exportTelemetry() {
+    const response = await this.sendMessage('getTelemetry');
+
+    if (response?.success) {
+      this.downloadFile(response.content, response.filename, response.mimeType);
+      this.showStatus(`Exported ${response.filename}`, 'success');
+    } else if (response) {
+      this.showStatus(response.error || 'Could not export telemetry', 'error');
+    }
+  }
+
+  async copyShareLink() {
+    const response = await this.sendMessage('getShareLink');
+
+    if (response?.success) {
+      await navigator.clipboard.writeText(response.url);
+      this.showStatus('Share link copied to clipboard!', 'success');
+    } else if (response) {
+      this.showStatus(response.error || 'Could not create share link', 'error');
+    }
+  }
+
+  async checkCoverage() {
+    this.showStatus('Checking Street View coverage...');
+    const response = await this.sendMessage('snapRoute');
+
+    if (response?.success) {
+      this.updateRouteInfo(response);
+      const gaps = response.snap.gaps.length;
+      this.showStatus(gaps ?
+        `${gaps} section${gaps > 1 ? 's' : ''} without Street View will be skipped` :
+        `Full coverage: ${response.snap.panoramas} panoramas`, gaps ? 'error' : 'success');
+    } else if (response) {
+      this.showStatus(response.error || 'Could not check coverage', 'error');
+    }
+  }
+
+  downloadFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  async setSpeed(speed) {
+    this.highlightSpeed(speed);
+
+    const response = await this.sendMessage('setSpeed', { speed });
+    if (response?.rerouted) {
+      this.updateRouteInfo(response);
+    }
+  }
+
+  highlightSpeed(speed) {
     this.currentSpeed = speed;
     this.speedBtns.forEach(btn => {
       btn.classList.toggle('active', btn.dataset.speed === speed);
     });
-    this.sendMessage('setSpeed', { speed });
+  }
+
+  async resumeSession() {
+    const response = await this.sendMessage('resumeSession');
+
+    if (response?.success) {
+      this.btnResume.classList.add('hidden');
+      this.updateRouteInfo(response);
+      this.highlightSpeed(response.speed);
+      this.updateProgress(response.progress);
+      this.updatePlaybackState('playing');
+    } else if (response) {
+      this.btnResume.classList.add('hidden');
+      this.showStatus(response.error || 'Could not resume trip', 'error');
+    }
   }
 
   async play() {
@@ -173,6 +498,17 @@ class PopupController {
     }
   }
 
+  async wander() {
+    const response = await this.sendMessage('wander');
+    if (response?.success) {
+      this.isPlaying = true;
+      this.isWandering = true;
+      this.updatePlaybackState('playing');
+    } else if (response) {
+      this.showStatus(response.error || 'Could not start wandering', 'error');
+    }
+  }
+
   async pause() {
     const response = await this.sendMessage('pause');
     if (response?.success) {
@@ -185,6 +521,7 @@ class PopupController {
     const response = await this.sendMessage('stop');
     if (response?.success) {
       this.isPlaying = false;
+      this.isWandering = false;
       this.updatePlaybackState('stopped');
       this.updateProgress(0);
     }
@@ -193,14 +530,14 @@ class PopupController {
   updatePlaybackState(state) {
     this.btnPlay.disabled = state === 'playing';
     this.btnPause.disabled = state !== 'playing';
-    this.btnStop.disabled = state === 'stopped' || !this.hasRoute;
+    this.btnStop.disabled = state === 'stopped' || !(this.hasRoute || this.isWandering);
 
     // Update badge
     this.statusBadge.className = 'badge';
     switch (state) {
       case 'playing':
         this.statusBadge.classList.add('badge-playing');
-        this.statusBadge.textContent = 'Playing';
+        this.statusBadge.textContent = this.isWandering ? 'Wandering' : 'Playing';
         break;
       case 'paused':
         this.statusBadge.classList.add('badge-paused');
@@ -217,6 +554,15 @@ class PopupController {
     this.progressText.textContent = `${Math.round(progress)}%`;
   }
 
+  updateBuffer(buffer) {
+    // Hidden when upcoming panoramas cannot be looked up
+    this.bufferContainer.classList.toggle('hidden', buffer.available === false);
+    const health = buffer.total ? buffer.ready / buffer.total : 1;
+    this.bufferFill.style.width = `${Math.round(health * 100)}%`;
+    this.bufferFill.classList.toggle('buffering', buffer.buffering);
+    this.bufferText.textContent = buffer.buffering ? '⏳' : `${buffer.ready}/${buffer.total}`;
+  }
+
   updateRouteInfo(data) {
     if (data.start) this.startPoint.textContent = data.start;
     if (data.end) this.endPoint.textContent = data.end;
@@ -224,11 +570,221 @@ class PopupController {
       this.waypointCount.textContent = data.waypointCount;
       this.hasRoute = data.waypointCount > 0;
     }
+    if (data.stops) this.renderStops(data.stops);
+    if (data.legs) {
+      this.renderLegs(data.legs, data.legIndex);
+      this.updateCurrentLeg(data.legIndex, data.currentLeg, data.legCount);
+    }
+    if (data.chapters) this.renderChapters(data.chapters, data.chapterIndex);
+    if (data.keyframes) this.renderKeyframes(data.keyframes);
+    if (data.targets) this.renderTargets(data.targets);
+    if (data.snap !== undefined) this.updateCoverage(data.snap);
     this.routeInfo.classList.remove('hidden');
     this.updatePlaybackState('stopped');
   }
 
+  renderStops(stops) {
+    this.stopList.replaceChildren();
+    this.stopList.classList.toggle('hidden', stops.length === 0);
+
+    stops.forEach((stop, idx) => {
+      const row = document.createElement('li');
+      row.className = 'item-row';
+
+      const label = document.createElement('span');
+      label.className = 'item-label';
+      label.textContent = `${stop.label}: ${stop.location}`;
+      row.appendChild(label);
+
+      const controls = [
+        { text: '↑', title: 'Move up', disabled: idx === 0, onClick: () => this.moveStop(idx, idx - 1) },
+        { text: '↓', title: 'Move down', disabled: idx === stops.length - 1, onClick: () => this.moveStop(idx, idx + 1) },
+        { text: '✕', title: 'Remove', disabled: false, onClick: () => this.removeStop(idx) }
+      ];
+
+      controls.forEach(control => {
+        const btn = document.createElement('button');
+        btn.className = 'icon-btn';
+        btn.textContent = control.text;
+        btn.title = control.title;
+        btn.disabled = control.disabled;
+        btn.addEventListener('click', control.onClick);
+        row.appendChild(btn);
+      });
+
+      this.stopList.appendChild(row);
+    });
+  }
+
+  renderLegs(legs, activeIndex) {
+    this.legList.replaceChildren();
+    this.legList.classList.toggle('hidden', legs.length < 2);
+
+    legs.forEach((leg, idx) => {
+      const row = document.createElement('li');
+      row.className = 'item-row';
+      row.classList.toggle('active', idx === activeIndex);
+
+      const label = document.createElement('span');
+      label.className = 'item-label';
+      label.textContent = leg.name;
+
+      const meta = document.createElement('span');
+      meta.className = 'item-meta';
+      meta.textContent = this.formatDistance(leg.distance);
+
+      row.appendChild(label);
+      row.appendChild(meta);
+      this.legList.appendChild(row);
+    });
+  }
+
+  updateCurrentLeg(index, name, count) {
+    const show = count > 1 && index >= 0;
+    this.currentLegRow.classList.toggle('hidden', !show);
+    if (!show) return;
+
+    this.currentLeg.textContent = `${name} (${index + 1}/${count})`;
+    Array.from(this.legList.children).forEach((row, idx) => {
+      row.classList.toggle('active', idx === index);
+    });
+  }
+
+  renderChapters(chapters, activeIndex) {
+    this.chapterList.replaceChildren();
+    this.chapterList.classList.toggle('hidden', chapters.length === 0);
+    this.btnPrevChapter.disabled = chapters.length === 0;
+    this.btnNextChapter.disabled = chapters.length === 0;
+
+    chapters.forEach((chapter, idx) => {
+      const row = document.createElement('li');
+      row.className = 'item-row';
+
+      const label = document.createElement('span');
+      label.className = 'item-label';
+      label.textContent = `🔖 ${chapter.name}`;
+
+      const meta = document.createElement('span');
+      meta.className = 'item-meta';
+      meta.textContent = this.formatDistance(chapter.distance);
+
+      row.append(
+        label,
+        meta,
+        this.createTransitionSelect(chapter.transition, (style) => this.setChapterTransition(idx, style)),
+        this.createIconButton('▶', 'Jump here', () => this.jumpToChapter(idx)),
+        this.createIconButton('✕', 'Remove', () => this.removeChapter(idx))
+      );
+      this.chapterList.appendChild(row);
+    });
+
+    this.updateCurrentChapter(activeIndex);
+  }
+
+  renderKeyframes(keyframes) {
+    this.keyframeList.replaceChildren();
+    this.keyframeList.classList.toggle('hidden', keyframes.length === 0);
+
+    keyframes.forEach((keyframe, idx) => {
+      const row = document.createElement('li');
+      row.className = 'item-row';
+
+      const label = document.createElement('span');
+      label.className = 'item-label';
+      label.textContent = `🎥 ${this.describeView(keyframe)}`;
+
+      const meta = document.createElement('span');
+      meta.className = 'item-meta';
+      meta.textContent = this.formatDistance(keyframe.distance);
+
+      row.append(
+        label,
+        meta,
+        this.createIconButton('✕', 'Remove', () => this.removeKeyframe(idx))
+      );
+      this.keyframeList.appendChild(row);
+    });
+  }
+
+  renderTargets(targets) {
+    this.targetList.replaceChildren();
+    this.targetList.classList.toggle('hidden', targets.length === 0);
+
+    targets.forEach((target, idx) => {
+      const row = document.createElement('li');
+      row.className = 'item-row';
+      row.title = target.location;
+
+      const label = document.createElement('span');
+      label.className = 'item-label';
+      label.textContent = `📍 ${target.name}`;
+
+      const meta = document.createElement('span');
+      meta.className = 'item-meta';
+      meta.textContent = `within ${this.formatDistance(target.radius)}`;
+
+      row.append(
+        label,
+        meta,
+        this.createIconButton('✕', 'Remove', () => this.removeTarget(idx))
+      );
+      this.targetList.appendChild(row);
+    });
+  }
+
+  describeView(view) {
+    const turn = view.headingOffset === 0 ? 'Ahead' :
+      `${view.headingOffset < 0 ? '←' : '→'} ${Math.abs(view.headingOffset)}°`;
+    const tilt = view.pitch === 0 ? '' : ` · ${view.pitch > 0 ? '↑' : '↓'} ${Math.abs(view.pitch)}°`;
+    return `${turn}${tilt} · ${view.zoom}×`;
+  }
+
+  createTransitionSelect(value, onChange) {
+    const select = document.createElement('select');
+    select.className = 'select item-select';
+    select.title = 'Transition style in this chapter';
+
+    // Same styles as the settings menu, plus the default
+    select.add(new Option('Default', ''));
+    Array.from(this.transitionStyle.options).forEach(option => {
+      select.add(new Option(option.text, option.value));
+    });
+    select.value = value || '';
+    select.addEventListener('change', () => onChange(select.value || null));
+    return select;
+  }
+
+  updateCurrentChapter(index) {
+    const rows = Array.from(this.chapterList.children);
+    const show = index >= 0 && index < rows.length;
+    this.currentChapterRow.classList.toggle('hidden', !show);
+
+    rows.forEach((row, idx) => row.classList.toggle('active', idx === index));
+    if (show) {
+      this.currentChapter.textContent = rows[index].querySelector('.item-label').textContent.replace(/^🔖 /, '');
+    }
+  }
+
+  updateCoverage(snap) {
+    this.coverageRow.classList.toggle('hidden', !snap);
+    if (!snap) return;
+
+    const percent = Math.round((snap.resolved / snap.total) * 100);
+    const gaps = snap.gaps.length ? ` · ${snap.gaps.length} gap${snap.gaps.length > 1 ? 's' : ''}` : '';
+    this.coverage.textContent = `${percent}%${gaps}`;
+    this.coverage.title = snap.gaps
+      .map(gap => `${this.formatDistance(gap.length)} near ${gap.location}`)
+      .join('\n');
+  }
+
+  formatDistance(meters) {
+    return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+  }
+
   updateStatus(data) {
+    if (data.routeInfo && (data.hasRoute || data.routeInfo.stops?.length)) {
+      this.updateRouteInfo(data.routeInfo);
+    }
     if (data.inStreetView !== undefined) {
       if (!data.inStreetView) {
         this.showStatus('Enter Street View to start', 'info');
@@ -236,12 +792,22 @@ class PopupController {
         this.hideStatus();
       }
     }
+    if (data.isWandering !== undefined) {
+      this.isWandering = data.isWandering;
+    }
     if (data.isPlaying !== undefined) {
       this.updatePlaybackState(data.isPlaying ? 'playing' : 'stopped');
     }
     if (data.progress !== undefined) {
       this.updateProgress(data.progress);
     }
+    if (data.buffer) {
+      this.updateBuffer(data.buffer);
+    }
+    if (data.resumeProgress !== undefined) {
+      this.btnResume.textContent = `⏯️ Resume trip at ${data.resumeProgress}%`;
+      this.btnResume.classList.toggle('hidden', data.resumeProgress === null);
+    }
   }
 
   showStatus(message, type = 'info') {
@@ -261,22 +827,256 @@ class PopupController {
     this.statusMessage.classList.add('hidden');
   }
 
-  toggleSettings() {
-    const section = this.settingsToggle.closest('.section-collapsible');
+  /**
+   * Toggle a collapsible section
+   * @returns {boolean} Whether the section is now open
+   */
+  toggleSection(toggle, content) {
+    const section = toggle.closest('.section-collapsible');
     section.classList.toggle('open');
-    this.settingsContent.classList.toggle('hidden');
+    content.classList.toggle('hidden');
+    return section.classList.contains('open');
+  }
+
+  async loadLibrary() {
+    const response = await this.sendBackground('listRoutes');
+    if (response) {
+      this.libraryRoutes = response.routes;
+      this.renderLibrary();
+    }
+  }
+
+  renderLibrary() {
+    const query = this.librarySearch.value.trim().toLowerCase();
+    const routes = this.libraryRoutes.filter(route => !query ||
+      route.name.toLowerCase().includes(query) ||
+      route.tags.some(tag => tag.includes(query)));
+
+    this.libraryList.replaceChildren(...routes.map(route => this.createLibraryItem(route)));
+    this.libraryEmpty.textContent = this.libraryRoutes.length ? 'No matching routes' : 'No saved routes yet';
+    this.libraryEmpty.classList.toggle('hidden', routes.length > 0);
+  }
+
+  createLibraryItem(route) {
+    const item = document.createElement('li');
+    item.className = 'library-item';
+
+    const info = document.createElement('div');
+    info.className = 'library-info';
+
+    const name = document.createElement('span');
+    name.className = 'library-name';
+    name.textContent = route.name;
+    name.title = route.name;
+
+    const meta = document.createElement('span');
+    meta.className = 'item-meta';
+    const when = route.lastPlayedAt ?
+      `played ${new Date(route.lastPlayedAt).toLocaleDateString()}` :
+      `saved ${new Date(route.createdAt).toLocaleDateString()}`;
+    meta.textContent = `${this.formatDistance(route.distance)} · ${when}`;
+
+    info.append(name, meta, document.createElement('br'));
+    route.tags.forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'library-tag';
+      chip.textContent = tag;
+      info.appendChild(chip);
+    });
+
+    const deleteBtn = this.createIconButton('🗑', 'Delete', () => {
+      // Ask for a second click instead of a blocking confirm()
+      if (deleteBtn.dataset.confirm) {
+        this.deleteLibraryRoute(route.id);
+      } else {
+        deleteBtn.dataset.confirm = '1';
+        deleteBtn.textContent = 'Delete?';
+      }
+    });
+
+    item.append(
+      this.createThumbnail(route.thumbnail),
+      info,
+      this.createIconButton('▶', 'Load into tab', () => this.loadLibraryRoute(route.id)),
+      this.createIconButton('✎', 'Rename / edit tags', () => this.editLibraryRoute(route, info)),
+      this.createIconButton('⧉', 'Duplicate', () => this.duplicateLibraryRoute(route.id)),
+      deleteBtn
+    );
+
+    return item;
+  }
+
+  createIconButton(text, title, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'icon-btn';
+    btn.textContent = text;
+    btn.title = title;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  /**
+   * Draw route thumbnail coordinates as a small SVG polyline
+   */
+  createThumbnail(coords) {
+    const size = 40;
+    const pad = 4;
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.setAttribute('class', 'library-thumb');
+    svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+
+    if (coords.length < 2) return svg;
+
+    const lats = coords.map(c => c[0]);
+    const lngs = coords.map(c => c[1]);
+    const minLat = Math.min(...lats);
+    const minLng = Math.min(...lngs);
+    const span = Math.max(Math.max(...lats) - minLat, Math.max(...lngs) - minLng) || 1;
+    const scale = (size - pad * 2) / span;
+
+    const points = coords.map(([lat, lng]) => {
+      const x = pad + (lng - minLng) * scale;
+      const y = size - pad - (lat - minLat) * scale;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'polyline');
+    line.setAttribute('points', points.join(' '));
+    svg.appendChild(line);
+    return svg;
+  }
+
+  async saveCurrentRoute() {
+    const current = await this.sendMessage('getRoute');
+    if (!current) return;
+    if (!current.success) {
+      this.showStatus(current.error || 'No route to save', 'error');
+      return;
+    }
+
+    const response = await this.sendBackground('saveRoute', {
+      name: this.libraryName.value.trim() || current.route.name || `${current.start} → ${current.end}`,
+      tags: this.libraryTags.value,
+      route: current.route
+    });
+
+    if (response) {
+      this.libraryName.value = '';
+      this.libraryTags.value = '';
+      this.showStatus(`Saved "${response.route.name}"`, 'success');
+      this.loadLibrary();
+    }
+  }
+
+  async loadLibraryRoute(id) {
+    const saved = await this.sendBackground('loadRoute', { id });
+    if (!saved) return;
+
+    const response = await this.sendMessage('loadRoute', { id, route: saved.route });
+    if (response?.success) {
+      this.updateRouteInfo(response);
+      this.updateProgress(0);
+      this.showStatus(`Loaded "${saved.entry.name}"`, 'success');
+    }
+  }
+
+  editLibraryRoute(route, info) {
+    const nameInput = document.createElement('input');
+    nameInput.className = 'text-input';
+    nameInput.value = route.name;
+
+    const tagsInput = document.createElement('input');
+    tagsInput.className = 'text-input';
+    tagsInput.placeholder = 'Tags, comma separated';
+    tagsInput.value = route.tags.join(', ');
+
+    const commit = async () => {
+      if (nameInput.value.trim() !== route.name) {
+        await this.sendBackground('renameRoute', { id: route.id, name: nameInput.value });
+      }
+      if (tagsInput.value !== route.tags.join(', ')) {
+        await this.sendBackground('setRouteTags', { id: route.id, tags: tagsInput.value });
+      }
+      this.loadLibrary();
+    };
+
+    [nameInput, tagsInput].forEach(input => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') commit();
+        if (e.key === 'Escape') this.renderLibrary();
+      });
+    });
+
+    info.replaceChildren(nameInput, tagsInput);
+    nameInput.focus();
+  }
+
+  async duplicateLibraryRoute(id) {
+    if (await this.sendBackground('duplicateRoute', { id })) {
+      this.loadLibrary();
+    }
+  }
+
+  async deleteLibraryRoute(id) {
+    if (await this.sendBackground('deleteRoute', { id })) {
+      this.loadLibrary();
+    }
+  }
+
+  /**
+   * Save a custom routing endpoint and ask for access to its host
+   * Route requests run in the background worker, which needs a host
+   * permission for any server other than the public OSRM demo.
+   */
+  async setRoutingEndpoint() {
+    this.updateSettings();
+
+    const endpoint = this.routingEndpoint.value.trim();
+    if (!endpoint) return;
+
+    let origin;
+    try {
+      origin = new URL(endpoint).origin;
+    } catch (e) {
+      this.showStatus('Routing endpoint is not a valid URL', 'error');
+      return;
+    }
+
+    const granted = await chrome.permissions.request({ origins: [`${origin}/*`] }).catch(() => false);
+    if (!granted) {
+      this.showStatus(`No access to ${origin}, routing will use a straight line`, 'error');
+    }
   }
 
   updateSettings() {
     const settings = {
       smoothTransitions: this.smoothTransitions.checked,
       transitionSpeed: parseInt(this.transitionSpeed.value),
-      autoHeading: this.autoHeading.checked
+      transitionStyle: this.transitionStyle.value,
+      transitionEasing: this.transitionEasing.value,
+      transitionBezier: this.transitionBezier.value.trim(),
+      autoTransitionTiming: this.autoTransitionTiming.checked,
+      autoHeading: this.autoHeading.checked,
+      headingLookAhead: parseInt(this.headingLookAhead.value),
+      snapPanoramas: this.snapPanoramas.checked,
+      navigationMode: this.navigationMode.value,
+      routingProvider: this.routingProvider.value,
+      routingEndpoint: this.routingEndpoint.value.trim(),
+      repeatMode: this.repeatMode.value,
+      showHud: this.showHud.checked,
+      wanderRadius: parseInt(this.wanderRadius.value)
     };
     this.sendMessage('updateSettings', settings);
     chrome.storage.local.set({ streetflixSettings: settings });
   }
 
+  /**
+   * Show the control points input only for the custom bezier easing
+   */
+  updateEasingInput() {
+    this.transitionBezierRow.classList.toggle('hidden', this.transitionEasing.value !== 'bezier');
+  }
+
   async loadState() {
     // Load saved settings
     const stored = await chrome.storage.local.get(['streetflixSettings']);
@@ -285,7 +1085,20 @@ class PopupController {
       this.smoothTransitions.checked = s.smoothTransitions ?? true;
       this.transitionSpeed.value = s.transitionSpeed ?? 300;
       this.transitionValue.textContent = `${this.transitionSpeed.value}ms`;
+      this.transitionStyle.value = s.transitionStyle ?? 'crossfade';
+      this.transitionEasing.value = s.transitionEasing ?? 'cubic';
+      this.transitionBezier.value = s.transitionBezier ?? '';
+      this.autoTransitionTiming.checked = s.autoTransitionTiming ?? true;
+      this.updateEasingInput();
       this.autoHeading.checked = s.autoHeading ?? true;
+      this.headingLookAhead.value = s.headingLookAhead ?? 60;
+      this.snapPanoramas.checked = s.snapPanoramas ?? true;
+      this.navigationMode.value = s.navigationMode ?? 'jump';
+      this.routingProvider.value = s.routingProvider ?? 'straight';
+      this.routingEndpoint.value = s.routingEndpoint ?? '';
+      this.repeatMode.value = s.repeatMode ?? 'off';
+      this.showHud.checked = s.showHud ?? false;
+      this.wanderRadius.value = s.wanderRadius ?? 0;
     }
   }
 }
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { CacheManager } = load(['content/cache-manager.js'], { AbortController, setTimeout, clearTimeout });
+
+const point = { lat: 41.0082, lng: 28.9784 };
+
+test('a lookup that never answers times out and counts as failed', async () => {
+  const cache = new CacheManager();
+  cache.lookupTimeout = 20;
+  let signal = null;
+  cache.setPanoramaResolver((p, radius, s) => {
+    signal = s;
+    return new Promise(() => {});
+  });
+
+  await assert.rejects(cache.findNearestPanorama(point), /timed out after 20ms/);
+  assert.strictEqual(signal.aborted, true);
+  assert.strictEqual(cache.lookupFailures, 1);
+
+  await cache.precachePoint(point);
+  assert.strictEqual(cache.hasFailed(point), true);
+  assert.strictEqual(cache.loading.size, 0);
+});
+
+test('lookups are kept, including no coverage', async () => {
+  const cache = new CacheManager();
+  const calls = [];
+  cache.setPanoramaResolver(async (p, radius) => {
+    calls.push(radius);
+    return radius > 50 ? { panoId: 'abc', position: { lat: 41.0083, lng: 28.9784 } } : null;
+  });
+
+  assert.strictEqual(await cache.findNearestPanorama(point), null);
+  assert.strictEqual(await cache.findNearestPanorama(point), null);
+  assert.deepStrictEqual(plain(await cache.findNearestPanorama(point, 100)),
+    { panoId: 'abc', position: { lat: 41.0083, lng: 28.9784 } });
+  assert.deepStrictEqual(calls, [50, 100]);
+  assert.strictEqual(cache.canResolvePanoramas(), true);
+});
+
+test('repeated failures mark lookups as unavailable', async () => {
+  const cache = new CacheManager();
+  cache.setPanoramaResolver(async () => {
+    throw new Error('Street View service is not available on this page');
+  });
+
+  for (let i = 0; i < cache.maxLookupFailures; i++) {
+    await assert.rejects(cache.findNearestPanorama({ lat: point.lat + i * 0.001, lng: point.lng }));
+  }
+  assert.strictEqual(cache.canResolvePanoramas(), false);
+});
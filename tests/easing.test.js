@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { Easing } = load(['utils/easing.js']);
+
+test('bezier matches known curves', () => {
+  const linear = Easing.bezier(0, 0, 1, 1);
+  const ease = Easing.bezier(0.25, 0.1, 0.25, 1);
+
+  for (const t of [0.1, 0.25, 0.5, 0.75, 0.9]) {
+    assert.ok(Math.abs(linear(t) - t) < 1e-5, `linear(${t}) = ${linear(t)}`);
+  }
+
+  // Reference values for CSS `ease`
+  assert.ok(Math.abs(ease(0.25) - 0.4085) < 1e-3, `ease(0.25) = ${ease(0.25)}`);
+  assert.ok(Math.abs(ease(0.5) - 0.8024) < 1e-3, `ease(0.5) = ${ease(0.5)}`);
+});
+
+test('bezier pins the ends and allows overshoot in between', () => {
+  const back = Easing.bezier(0.34, 1.56, 0.64, 1);
+
+  assert.strictEqual(back(-1), 0);
+  assert.strictEqual(back(0), 0);
+  assert.strictEqual(back(1), 1);
+  assert.strictEqual(back(2), 1);
+  assert.ok(back(0.6) > 1);
+});
+
+test('bezier solves flat-sloped curves', () => {
+  // x'(s) is 0 at s = 0.5, where Newton's method stalls
+  const flat = Easing.bezier(1, 0, 0, 1);
+
+  for (const t of [0.01, 0.3, 0.5, 0.7, 0.99]) {
+    const y = flat(t);
+    assert.ok(y >= 0 && y <= 1, `flat(${t}) = ${y}`);
+  }
+  assert.ok(Math.abs(flat(0.5) - 0.5) < 1e-3);
+});
+
+test('bezier approximations stay close to the built-in curves', () => {
+  for (const [name, curve] of Object.entries(Easing.curves)) {
+    const approx = Easing.bezier(...curve.points);
+    for (let t = 0.05; t < 1; t += 0.05) {
+      assert.ok(Math.abs(approx(t) - curve.fn(t)) < 0.05, `${name} at ${t.toFixed(2)}`);
+    }
+  }
+});
+
+test('parseBezier accepts typed and CSS forms', () => {
+  assert.deepStrictEqual(plain(Easing.parseBezier('0.4, 0, 0.2, 1')), [0.4, 0, 0.2, 1]);
+  assert.deepStrictEqual(plain(Easing.parseBezier('cubic-bezier(.34,1.56,.64,1)')), [0.34, 1.56, 0.64, 1]);
+});
+
+test('parseBezier rejects invalid curves', () => {
+  assert.strictEqual(Easing.parseBezier(''), null);
+  assert.strictEqual(Easing.parseBezier(null), null);
+  assert.strictEqual(Easing.parseBezier('0.4, 0, 0.2'), null);
+  assert.strictEqual(Easing.parseBezier('0.4, 0, 0.2, 1, 0'), null);
+  assert.strictEqual(Easing.parseBezier('a, 0, 0.2, 1'), null);
+  assert.strictEqual(Easing.parseBezier('1.2, 0, 0.2, 1'), null);
+  assert.strictEqual(Easing.parseBezier('0.4, 0, -0.1, 1'), null);
+});
+
+test('get falls back to cubic', () => {
+  assert.strictEqual(Easing.get('quint').css, 'cubic-bezier(0.22, 1, 0.36, 1)');
+  assert.strictEqual(Easing.get('bezier', [0.4, 0, 0.2, 1]).css, 'cubic-bezier(0.4, 0, 0.2, 1)');
+  assert.strictEqual(Easing.get('bezier', [2, 0, 0.2, 1]).fn, Easing.curves.cubic.fn);
+  assert.strictEqual(Easing.get('unknown').css, 'cubic-bezier(0.33, 1, 0.68, 1)');
+});
@@ -0,0 +1,98 @@
+/**
+ * Google Maps directions URLs as Maps produces them, with what they decode to
+ * `stops` and `travelMode` are the expected MapsURL.parseDirections result;
+ * `error` is a pattern the thrown message must match.
+ */
+
+module.exports = [
+  {
+    name: 'named places with data blob, walking',
+    url: 'https://www.google.com/maps/dir/Galata+Tower,+Bereketzade,+Galata+Kulesi,+34421+Beyo%C4%9Flu%2F%C4%B0stanbul,+T%C3%BCrkiye/Taksim+Square,+G%C3%BCm%C3%BC%C5%9Fsuyu,+34435+Beyo%C4%9Flu%2F%C4%B0stanbul,+T%C3%BCrkiye/@41.0312,28.9745,16z/data=!3m1!4b1!4m14!4m13!1m5!1m1!1s0x14cab9e2ba8b53d7:0x6a4b7f1dd1b1b4a7!2m2!1d28.9741!2d41.0256!1m5!1m1!1s0x14cab7650c3e5b6d:0x7ae6ec5f5fc2ee04!2m2!1d28.985!2d41.0369!3e2?entry=ttu',
+    stops: [
+      { name: 'Galata Tower, Bereketzade, Galata Kulesi, 34421 Beyoğlu/İstanbul, Türkiye', lat: 41.0256, lng: 28.9741 },
+      { name: 'Taksim Square, Gümüşsuyu, 34435 Beyoğlu/İstanbul, Türkiye', lat: 41.0369, lng: 28.985 }
+    ],
+    travelMode: 'walking'
+  },
+  {
+    name: 'coordinates in the path, driving',
+    url: 'https://www.google.com/maps/dir/48.8583701,2.2944813/48.8606111,2.337644/@48.8597,2.3130,14z/data=!3m1!4b1!4m2!4m1!3e0',
+    stops: [
+      { name: null, lat: 48.8583701, lng: 2.2944813 },
+      { name: null, lat: 48.8606111, lng: 2.337644 }
+    ],
+    travelMode: 'driving'
+  },
+  {
+    name: 'via point between origin and destination, cycling',
+    url: 'https://www.google.com/maps/dir/Brandenburger+Tor,+Pariser+Platz,+Berlin/Alexanderplatz,+Berlin/East+Side+Gallery,+M%C3%BChlenstra%C3%9Fe,+Berlin/@52.5133,13.4120,14z/data=!3m1!4b1!4m20!4m19!1m5!1m1!1s0x47a851c655f20989:0x26bbfb4e84674c63!2m2!1d13.3777041!2d52.5162746!1m5!1m1!1s0x47a84e1f1c5ffd5b:0x4e5f7e1b3f7c5f2b!2m2!1d13.4132147!2d52.5219184!1m5!1m1!1s0x47a84e5d05d8d2a5:0x1b5a0ad4c4c04f0!2m2!1d13.4396553!2d52.5050387!3e1',
+    stops: [
+      { name: 'Brandenburger Tor, Pariser Platz, Berlin', lat: 52.5162746, lng: 13.3777041 },
+      { name: 'Alexanderplatz, Berlin', lat: 52.5219184, lng: 13.4132147 },
+      { name: 'East Side Gallery, Mühlenstraße, Berlin', lat: 52.5050387, lng: 13.4396553 }
+    ],
+    travelMode: 'bicycling'
+  },
+  {
+    name: 'mixed coordinate and named stops, transit',
+    url: 'https://www.google.com/maps/dir/40.7580,-73.9855/Central+Park,+New+York,+NY/@40.7700,-73.9760,14z/data=!3m1!4b1!4m9!4m8!1m0!1m5!1m1!1s0x89c2589a018531e3:0xb9df1f7387a94119!2m2!1d-73.9653551!2d40.7828647!3e3',
+    stops: [
+      { name: null, lat: 40.758, lng: -73.9855 },
+      { name: 'Central Park, New York, NY', lat: 40.7828647, lng: -73.9653551 }
+    ],
+    travelMode: 'transit'
+  },
+  {
+    name: 'flight between cities',
+    url: 'https://www.google.com/maps/dir/London,+UK/Paris,+France/@50.1,0.9,7z/data=!3m1!4b1!4m14!4m13!1m5!1m1!1s0x47d8a00baf21de75:0x52963a5addd52a99!2m2!1d-0.1275862!2d51.5072178!1m5!1m1!1s0x47e66e1f06e2b70f:0x40b82c3688c9460!2m2!1d2.3522219!2d48.856614!3e4',
+    stops: [
+      { name: 'London, UK', lat: 51.5072178, lng: -0.1275862 },
+      { name: 'Paris, France', lat: 48.856614, lng: 2.3522219 }
+    ],
+    travelMode: 'flight'
+  },
+  {
+    name: 'am=t segment after the places, no travel mode',
+    url: 'https://www.google.com/maps/dir/35.6585805,139.7454329/35.7100627,139.8107004/am=t/@35.68,139.77,13z',
+    stops: [
+      { name: null, lat: 35.6585805, lng: 139.7454329 },
+      { name: null, lat: 35.7100627, lng: 139.8107004 }
+    ],
+    travelMode: null
+  },
+  {
+    name: 'maps URLs API with coordinates and via points',
+    url: 'https://www.google.com/maps/dir/?api=1&origin=41.0256,28.9741&destination=41.0369,28.9850&waypoints=41.0330,28.9770%7C41.0350,28.9800&travelmode=bicycling',
+    stops: [
+      { name: null, lat: 41.0256, lng: 28.9741 },
+      { name: null, lat: 41.033, lng: 28.977 },
+      { name: null, lat: 41.035, lng: 28.98 },
+      { name: null, lat: 41.0369, lng: 28.985 }
+    ],
+    travelMode: 'bicycling'
+  },
+  {
+    name: 'maps URLs API with an unknown travel mode',
+    url: 'https://www.google.com/maps/dir/?api=1&origin=41.0256,28.9741&destination=41.0369,28.9850&travelmode=hovercraft',
+    stops: [
+      { name: null, lat: 41.0256, lng: 28.9741 },
+      { name: null, lat: 41.0369, lng: 28.985 }
+    ],
+    travelMode: null
+  },
+  {
+    name: 'maps URLs API naming a place Maps has not looked up yet',
+    url: 'https://www.google.com/maps/dir/?api=1&origin=41.0256,28.9741&destination=Taksim&travelmode=walking',
+    error: /Could not find coordinates for "Taksim"/
+  },
+  {
+    name: 'only one place filled in',
+    url: 'https://www.google.com/maps/dir//Taksim+Square/@41.03,28.98,15z/data=!4m6!4m5!1m0!1m1!1s0x14cab7650c3e5b6d:0x7ae6ec5f5fc2ee04!3e2',
+    error: /at least an origin and a destination/
+  },
+  {
+    name: 'place page instead of directions',
+    url: 'https://www.google.com/maps/place/Galata+Tower/@41.0256,28.9741,17z',
+    error: /Not a Google Maps directions URL/
+  }
+];
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const { GeoUtils } = load(['utils/geometry.js']);
+
+test('encodePolyline matches the reference encoding', () => {
+  // Example from Google's Encoded Polyline Algorithm Format documentation
+  const points = [
+    { lat: 38.5, lng: -120.2 },
+    { lat: 40.7, lng: -120.95 },
+    { lat: 43.252, lng: -126.453 }
+  ];
+  assert.strictEqual(GeoUtils.encodePolyline(points), '_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+});
+
+test('encodePolyline round-trips through decodePolyline', () => {
+  const points = [
+    { lat: 41.008238, lng: 28.978359 },
+    { lat: -33.856784, lng: 151.215297 },
+    { lat: 0, lng: -0.000001 }
+  ];
+
+  assert.deepStrictEqual(plain(GeoUtils.decodePolyline(GeoUtils.encodePolyline(points, 6), 6)), points);
+  assert.deepStrictEqual(
+    plain(GeoUtils.decodePolyline(GeoUtils.encodePolyline(points))),
+    [{ lat: 41.00824, lng: 28.97836 }, { lat: -33.85678, lng: 151.2153 }, { lat: 0, lng: 0 }]
+  );
+  assert.strictEqual(GeoUtils.encodePolyline([]), '');
+});
+
+/**
+ * `count` points spaced `step` meters apart along a heading
+ */
+function line(start, heading, count, step) {
+  const points = [start];
+  for (let i = 1; i < count; i++) {
+    points.push(GeoUtils.destinationPoint(points[i - 1], heading, step));
+  }
+  return points;
+}
+
+const corner = (() => {
+  const north = line({ lat: 41, lng: 29 }, 0, 11, 20);
+  const east = line(north[north.length - 1], 90, 11, 20);
+  return north.concat(east.slice(1));
+})();
+
+test('simplifyRoute keeps only the ends of a straight line', () => {
+  const points = line({ lat: 41, lng: 29 }, 45, 20, 10);
+  const simplified = GeoUtils.simplifyRoute(points);
+
+  assert.strictEqual(simplified.length, 2);
+  assert.strictEqual(simplified[0], points[0]);
+  assert.strictEqual(simplified[1], points[19]);
+});
+
+test('simplifyRoute keeps corners and named points', () => {
+  const points = corner.map((p, i) => i === 5 ? { ...p, name: 'Cafe' } : p);
+  const simplified = GeoUtils.simplifyRoute(points);
+
+  assert.deepStrictEqual(simplified, [points[0], points[5], points[10], points[20]]);
+  assert.deepStrictEqual(GeoUtils.simplifyRoute(points.slice(0, 2)), points.slice(0, 2));
+});
+
+test('simplifyRoute drops wobble within the tolerance', () => {
+  const points = line({ lat: 41, lng: 29 }, 0, 11, 20)
+    .map((p, i) => i % 2 ? GeoUtils.destinationPoint(p, 90, 2) : p);
+
+  assert.strictEqual(GeoUtils.simplifyRoute(points, 3).length, 2);
+  assert.strictEqual(GeoUtils.simplifyRoute(points, 1).length, points.length);
+});
+
+test('resampleRoute spaces points evenly on a straight', () => {
+  const points = [{ lat: 41, lng: 29 }, GeoUtils.destinationPoint({ lat: 41, lng: 29 }, 0, 300)];
+  const resampled = GeoUtils.resampleRoute(points, 10, { straightFactor: 1 });
+
+  assert.strictEqual(resampled[0], points[0]);
+  assert.strictEqual(resampled[resampled.length - 1], points[1]);
+  assert.strictEqual(resampled.length, 31);
+
+  for (let i = 1; i < resampled.length; i++) {
+    assert.ok(Math.abs(GeoUtils.calculateDistance(resampled[i - 1], resampled[i]) - 10) < 0.01);
+  }
+});
+
+test('resampleRoute lands on corners and packs points around them', () => {
+  const points = [corner[0], corner[10], corner[20]];
+  const resampled = GeoUtils.resampleRoute(points, 10);
+  const cornerIdx = resampled.indexOf(points[1]);
+
+  assert.notStrictEqual(cornerIdx, -1);
+
+  const gaps = resampled.slice(1).map((p, i) => GeoUtils.calculateDistance(resampled[i], p));
+  const nearCorner = gaps[cornerIdx];
+  const farFromCorner = gaps[0];
+
+  assert.ok(nearCorner < 10, `gap at the corner is ${nearCorner}`);
+  assert.ok(Math.abs(farFromCorner - 15) < 0.01, `gap on the straight is ${farFromCorner}`);
+});
+
+test('resampleRoute never leaves a sliver before the end', () => {
+  const points = [{ lat: 41, lng: 29 }, GeoUtils.destinationPoint({ lat: 41, lng: 29 }, 0, 101)];
+  const resampled = GeoUtils.resampleRoute(points, 10, { straightFactor: 1 });
+  const last = GeoUtils.calculateDistance(resampled[resampled.length - 2], resampled[resampled.length - 1]);
+
+  assert.ok(last >= 3, `final gap is ${last}`);
+  assert.deepStrictEqual(GeoUtils.resampleRoute(points.slice(0, 1), 10), points.slice(0, 1));
+});
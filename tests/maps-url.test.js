@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+const fixtures = require('./fixtures/maps-urls');
+
+const { MapsURL } = load(['utils/maps-url.js']);
+
+test('parseDirections decodes real-world URLs', async (t) => {
+  for (const fixture of fixtures) {
+    await t.test(fixture.name, () => {
+      if (fixture.error) {
+        assert.throws(() => MapsURL.parseDirections(fixture.url), fixture.error);
+        return;
+      }
+
+      const directions = plain(MapsURL.parseDirections(fixture.url));
+      assert.deepStrictEqual(directions.stops, fixture.stops);
+      assert.strictEqual(directions.travelMode, fixture.travelMode);
+    });
+  }
+});
+
+test('toSpeedMode maps travel modes to speed modes', () => {
+  assert.strictEqual(MapsURL.toSpeedMode('walking'), 'walking');
+  assert.strictEqual(MapsURL.toSpeedMode('bicycling'), 'cycling');
+  assert.strictEqual(MapsURL.toSpeedMode('flight'), 'flying');
+  assert.strictEqual(MapsURL.toSpeedMode(null), null);
+});
+
+test('parseDataParam nests message tokens', () => {
+  const nodes = plain(MapsURL.parseDataParam('!4m5!1m2!1d28.9!2d41.0!3e2!5b1'));
+  assert.deepStrictEqual(nodes, [
+    {
+      field: 4, type: 'm', value: 5, children: [
+        { field: 1, type: 'm', value: 2, children: [
+          { field: 1, type: 'd', value: 28.9 },
+          { field: 2, type: 'd', value: 41 }
+        ] },
+        { field: 3, type: 'e', value: 2 },
+        { field: 5, type: 'b', value: true }
+      ]
+    }
+  ]);
+});
+
+test('parseLatLng rejects out-of-range coordinates', () => {
+  assert.deepStrictEqual(plain(MapsURL.parseLatLng(' 41.02, -28.9 ')), { lat: 41.02, lng: -28.9 });
+  assert.strictEqual(MapsURL.parseLatLng('91,0'), null);
+  assert.strictEqual(MapsURL.parseLatLng('Taksim'), null);
+});
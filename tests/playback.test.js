@@ -0,0 +1,283 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const SCRIPTS = [
+  'utils/geometry.js',
+  'utils/easing.js',
+  'content/telemetry.js',
+  'content/transition-styles.js',
+  'content/routing-providers.js',
+  'content/route-manager.js',
+  'content/camera-director.js',
+  'content/content.js'
+];
+
+/**
+ * Load the content script with its page-facing parts stubbed out
+ * Street View never finishes initializing, so the test sets up the rest.
+ */
+function createController(globals = {}) {
+  const timers = [];
+  const context = load(SCRIPTS, {
+    performance,
+    setTimeout: callback => timers.push(callback),
+    setInterval() {},
+    chrome: {
+      runtime: { sendMessage: async () => {} },
+      storage: { local: { get: async () => ({}), set: async () => {} } }
+    },
+    StreetViewController: class {
+      initialize() {
+        return new Promise(() => {});
+      }
+      isInStreetView() { return true; }
+    },
+    CacheManager: class {
+      canResolvePanoramas() { return false; }
+      precacheRoute() {}
+      recordArrival() { return false; }
+    },
+    ...globals
+  });
+
+  const controller = context.StreetFlix;
+  controller.transitions = {
+    async setView() {},
+    takeTiming() { return null; },
+    updateSettings() {}
+  };
+  return { controller, timers };
+}
+
+test('a link walk that times out stays on its waypoint', async () => {
+  const { controller, timers } = createController();
+  const target = { lat: 41.0090, lng: 28.9784 };
+  controller.route.setWaypointSegments([{
+    name: null,
+    description: null,
+    points: [{ lat: 41.0082, lng: 28.9784 }, target, { lat: 41.0099, lng: 28.9784 }]
+  }]);
+  controller.settings.navigationMode = 'links';
+  controller.isPlaying = true;
+
+  const walks = [];
+  controller.navigator = {
+    async navigateTo(position) {
+      walks.push(position);
+      return { arrived: false, steps: 2, timedOut: true, reason: 'out of time' };
+    }
+  };
+
+  await controller.advanceFrame();
+  assert.strictEqual(controller.route.currentIndex, 0);
+  assert.strictEqual(timers.length, 1);
+
+  await timers.shift()();
+  assert.strictEqual(controller.route.currentIndex, 0);
+  assert.deepStrictEqual(walks.map(({ lat, lng }) => ({ lat, lng })), [target, target]);
+
+  controller.navigator.navigateTo = async () => ({ arrived: true, steps: 1, timedOut: false });
+  await timers.shift()();
+  assert.strictEqual(controller.route.currentIndex, 1);
+  assert.strictEqual(controller.isPlaying, true);
+});
+
+test('a share link only applies settings the popup could have set', () => {
+  const shared = {
+    name: null,
+    speed: 'walking',
+    segments: [{ points: [{ lat: 41.0082, lng: 28.9784 }, { lat: 41.0090, lng: 28.9784 }] }],
+    stops: [],
+    settings: {
+      transitionSpeed: -5,
+      transitionStyle: 'dolly',
+      transitionEasing: 'constructor',
+      transitionBezier: '2, 0, 0, 1',
+      autoHeading: 'yes',
+      headingLookAhead: 30,
+      repeatMode: 'x',
+      navigationMode: 'links',
+      snapPanoramas: false,
+      showHud: true
+    }
+  };
+  const { controller } = createController({
+    ShareLink: { consumePending: () => '#streetflix=1', decode: () => shared }
+  });
+  controller.showToast = () => {};
+  const defaults = { ...controller.settings };
+
+  controller.loadSharedRoute();
+
+  assert.strictEqual(controller.speed, 'walking');
+  assert.deepStrictEqual({ ...controller.settings }, {
+    ...defaults,
+    transitionStyle: 'dolly',
+    headingLookAhead: 30,
+    navigationMode: 'links',
+    snapPanoramas: false
+  });
+});
+
+test('cycling the repeat mode saves only the repeat mode', async () => {
+  const storage = { streetflixSettings: { transitionSpeed: 500, repeatMode: 'off' } };
+  const { controller } = createController({
+    chrome: {
+      runtime: { sendMessage: async () => {} },
+      storage: {
+        local: {
+          get: async () => ({ ...storage }),
+          set: async items => Object.assign(storage, items)
+        }
+      }
+    }
+  });
+  controller.route.setRoute([{ lat: 41.0082, lng: 28.9784 }, { lat: 41.0090, lng: 28.9784 }]);
+
+  // As a share link would for this session
+  controller.updateSettings({ transitionSpeed: 800, navigationMode: 'links' });
+  controller.cycleRepeatMode();
+  await new Promise(setImmediate);
+
+  assert.strictEqual(controller.settings.repeatMode, 'loop');
+  assert.deepStrictEqual(plain(storage.streetflixSettings), { transitionSpeed: 500, repeatMode: 'loop' });
+});
+
+test('a keyframe added from a fully zoomed-out view keeps zoom 0', () => {
+  const { controller } = createController();
+  controller.route.setRoute([{ lat: 41.0082, lng: 28.9784 }, { lat: 41.0090, lng: 28.9784 }]);
+  controller.streetView.getPov = () => ({ heading: 0, pitch: 5, zoom: 0 });
+
+  controller.addKeyframe();
+
+  assert.strictEqual(controller.route.keyframes[0].zoom, 0);
+  assert.strictEqual(controller.route.keyframes[0].pitch, 5);
+});
+
+test('panoramas that time out while buffering are not waited on again', async () => {
+  const { controller, timers } = createController({
+    document: { body: { classList: { toggle() {} } } }
+  });
+  controller.route.setWaypointSegments([{
+    name: null,
+    description: null,
+    points: [0, 1, 2, 3].map(i => ({ lat: 41.0082 + i * 0.0005, lng: 28.9784 }))
+  }]);
+  const failed = new Set();
+  controller.cache = {
+    canResolvePanoramas: () => true,
+    precacheRoute() {},
+    recordArrival: () => false,
+    isCached: () => false,
+    hasFailed: point => failed.has(point),
+    markFailed: point => failed.add(point)
+  };
+  controller.transitions.transitionTo = async () => true;
+  controller.isPlaying = true;
+
+  await controller.advanceFrame();
+  assert.strictEqual(controller.isBuffering, true);
+
+  controller.bufferingSince -= controller.bufferTimeout + 1;
+  await timers.shift()();
+  assert.strictEqual(controller.route.currentIndex, 1);
+  assert.strictEqual(failed.size, 3);
+
+  await timers.shift()();
+  assert.strictEqual(controller.isBuffering, false);
+  assert.strictEqual(controller.route.currentIndex, 2);
+});
+
+/**
+ * chrome.storage stub that records every write
+ */
+function createStorage() {
+  const storage = { items: {}, writes: [] };
+  storage.chrome = {
+    runtime: { sendMessage: async () => {} },
+    storage: {
+      local: {
+        get: async keys => Object.fromEntries(keys.filter(k => k in storage.items).map(k => [k, storage.items[k]])),
+        set: async items => {
+          storage.writes.push(Object.keys(items).sort());
+          Object.assign(storage.items, items);
+        }
+      }
+    }
+  };
+  return storage;
+}
+
+test('the session stores the route only when it changes', async () => {
+  const storage = createStorage();
+  const { controller } = createController({ chrome: storage.chrome });
+  controller.route.setWaypointSegments([{
+    name: null,
+    description: null,
+    points: [0, 1, 2, 3].map(i => ({ lat: 41.0082 + i * 0.0005, lng: 28.9784 }))
+  }]);
+
+  controller.route.jumpTo(1);
+  controller.saveSession();
+  controller.saveSession();
+  controller.route.jumpTo(2);
+  controller.saveSession();
+  controller.route.addChapter('Bridge');
+  controller.saveSession();
+
+  assert.deepStrictEqual(plain(storage.writes), [
+    ['streetflixSession', 'streetflixSessionRoute'],
+    ['streetflixSession'],
+    ['streetflixSession', 'streetflixSessionRoute']
+  ]);
+
+  // A reload finds the trip again
+  const reloaded = createController({ chrome: storage.chrome }).controller;
+  reloaded.showToast = () => null;
+  await reloaded.loadSavedSession();
+  assert.strictEqual(reloaded.savedSession.route.chapters[0].name, 'Bridge');
+  assert.strictEqual(reloaded.savedSession.distance, controller.route.getDistanceTraveled());
+});
+
+test('a resumed trip does not start if it was stopped or replaced on the way', async () => {
+  const points = [0, 1, 2, 3].map(i => ({ lat: 41.0082 + i * 0.0005, lng: 28.9784 }));
+  const { controller } = createController();
+  controller.showToast = () => null;
+  let plays = 0;
+  controller.play = () => plays++;
+
+  const moves = [];
+  controller.transitions.transitionTo = () => new Promise((resolve, reject) => moves.push({ resolve, reject }));
+  const offer = () => {
+    const route = new controller.route.constructor();
+    route.setWaypointSegments([{ name: null, description: null, points }]);
+    controller.savedSession = { route: route.toJSON(), distance: 60, progress: 40, direction: 1, speed: 'cycling' };
+  };
+
+  offer();
+  controller.resumeSession();
+  controller.stop();
+  moves.shift().resolve(true);
+  await new Promise(setImmediate);
+  assert.strictEqual(plays, 0);
+
+  offer();
+  controller.resumeSession();
+  controller.route.setRoute(points.slice(0, 2));
+  moves.shift().resolve(true);
+  await new Promise(setImmediate);
+  assert.strictEqual(plays, 0);
+
+  offer();
+  controller.resumeSession();
+  moves.shift().reject(new Error('panorama did not load'));
+  await new Promise(setImmediate);
+  assert.strictEqual(plays, 0);
+
+  offer();
+  controller.resumeSession();
+  moves.shift().resolve(true);
+  await new Promise(setImmediate);
+  assert.strictEqual(plays, 1);
+});
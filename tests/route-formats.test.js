@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const { load, plain } = require('./helpers/load');
+
+const { RouteFormats } = load(['utils/geometry.js', 'utils/route-formats.js'], {
+  DOMParser: new JSDOM().window.DOMParser
+});
+
+const route = {
+  name: 'Bosphorus & back',
+  segments: [
+    {
+      name: 'Out <north>',
+      description: 'Along the "shore"',
+      points: [
+        { lat: 41.0082, lng: 28.9784, ele: 12.5, name: 'Sultanahmet' },
+        { lat: 41.0255, lng: 28.9744, ele: 40 },
+        { lat: 41.0422, lng: 29.0067 }
+      ]
+    },
+    {
+      name: 'Back',
+      description: null,
+      points: [
+        { lat: 41.0422, lng: 29.0067 },
+        { lat: 41.0082, lng: 28.9784, name: 'Sultanahmet' }
+      ]
+    }
+  ]
+};
+
+test('GPX round-trips names, elevation and segments', () => {
+  const parsed = plain(RouteFormats.parseGPX(RouteFormats.toGPX(route)));
+  assert.deepStrictEqual(parsed, route);
+});
+
+test('parseGPX reads routes, and waypoints only without tracks', () => {
+  const gpx = `<?xml version="1.0"?>
+    <gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+      <wpt lat="1" lon="1"><name>Ignored</name></wpt>
+      <rte><name>Route</name><rtept lat="41" lon="29"/><rtept lat="41.1" lon="29.1"/></rte>
+    </gpx>`;
+  const parsed = plain(RouteFormats.parseGPX(gpx));
+
+  assert.strictEqual(parsed.name, 'Route');
+  assert.deepStrictEqual(parsed.segments, [{
+    name: 'Route',
+    description: null,
+    points: [{ lat: 41, lng: 29 }, { lat: 41.1, lng: 29.1 }]
+  }]);
+
+  const waypoints = plain(RouteFormats.parseGPX(`<gpx>
+    <wpt lat="41" lon="29"><name>A</name></wpt><wpt lat="42" lon="30"/>
+  </gpx>`));
+  assert.deepStrictEqual(waypoints.segments[0].points, [
+    { lat: 41, lng: 29, name: 'A' },
+    { lat: 42, lng: 30 }
+  ]);
+});
+
+test('parseGPX rejects bad input', () => {
+  assert.throws(() => RouteFormats.parseGPX('<gpx><trk>'), /malformed XML/);
+  assert.throws(() => RouteFormats.parseGPX('<kml/>'), /expected <gpx> root element/);
+  assert.throws(() => RouteFormats.parseGPX('<gpx><wpt lat="95" lon="0"/></gpx>'), /out of range/);
+  assert.throws(() => RouteFormats.parseGPX('<gpx><wpt lat="1" lon="1"/></gpx>'), /at least 2 points/);
+});
+
+test('GeoJSON round-trips names, elevation and segments', () => {
+  const parsed = plain(RouteFormats.parseGeoJSON(RouteFormats.toGeoJSON(route)));
+
+  // GeoJSON positions carry no point names
+  const unnamed = plain(route);
+  unnamed.segments.forEach(segment => segment.points.forEach(p => delete p.name));
+  assert.deepStrictEqual(parsed, unnamed);
+});
+
+test('parseGeoJSON splits MultiLineStrings and falls back to points', () => {
+  const multi = plain(RouteFormats.parseGeoJSON(JSON.stringify({
+    type: 'Feature',
+    properties: { title: 'Ferry' },
+    geometry: { type: 'MultiLineString', coordinates: [[[29, 41], [29.1, 41.1]], [[29.2, 41.2], [29.3, 41.3]]] }
+  })));
+  assert.deepStrictEqual(multi.segments.map(s => s.name), ['Ferry (1)', 'Ferry (2)']);
+
+  const points = plain(RouteFormats.parseGeoJSON(JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', properties: { name: 'A' }, geometry: { type: 'Point', coordinates: [29, 41, 5] } },
+      { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [30, 42] } }
+    ]
+  })));
+  assert.deepStrictEqual(points.segments[0].points, [
+    { lat: 41, lng: 29, ele: 5, name: 'A' },
+    { lat: 42, lng: 30 }
+  ]);
+});
+
+test('parseGeoJSON rejects bad input', () => {
+  assert.throws(() => RouteFormats.parseGeoJSON('{'), /Invalid GeoJSON/);
+  assert.throws(() => RouteFormats.parseGeoJSON('{"features":[]}'), /missing "type"/);
+  assert.throws(() => RouteFormats.parseGeoJSON('{"type":"FeatureCollection","features":[{}]}'), /expected a Feature/);
+  assert.throws(() => RouteFormats.parseGeoJSON('{"type":"LineString","coordinates":[[200,0],[0,0]]}'), /out of range/);
+});
+
+test('KML round-trips names, elevation and segments', () => {
+  const parsed = plain(RouteFormats.parseKML(RouteFormats.toKML(route)));
+
+  // KML coordinates carry no point names
+  const unnamed = plain(route);
+  unnamed.segments.forEach(segment => segment.points.forEach(p => delete p.name));
+  assert.deepStrictEqual(parsed, unnamed);
+});
+
+test('parseKML reads gx:Track and falls back to point placemarks', () => {
+  const track = plain(RouteFormats.parseKML(`<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+    <Placemark><name>Run</name><gx:Track>
+      <gx:coord>29 41 10</gx:coord><gx:coord>29.1 41.1 12</gx:coord>
+    </gx:Track></Placemark>
+  </kml>`));
+  assert.deepStrictEqual(track.segments, [{
+    name: 'Run',
+    description: null,
+    points: [{ lat: 41, lng: 29, ele: 10 }, { lat: 41.1, lng: 29.1, ele: 12 }]
+  }]);
+
+  const points = plain(RouteFormats.parseKML(`<kml><Document>
+    <Placemark><name>A</name><Point><coordinates>29,41</coordinates></Point></Placemark>
+    <Placemark><Point><coordinates>30,42,7</coordinates></Point></Placemark>
+  </Document></kml>`));
+  assert.deepStrictEqual(points.segments[0].points, [
+    { lat: 41, lng: 29, name: 'A' },
+    { lat: 42, lng: 30, ele: 7 }
+  ]);
+});
+
+test('detectFormat uses the extension, then the contents', () => {
+  assert.strictEqual(RouteFormats.detectFormat('', 'trip.KML'), 'kml');
+  assert.strictEqual(RouteFormats.detectFormat('', 'trip.json'), 'geojson');
+  assert.strictEqual(RouteFormats.detectFormat('  {"type":"Feature"}'), 'geojson');
+  assert.strictEqual(RouteFormats.detectFormat('<?xml version="1.0"?>\n<gpx version="1.1">'), 'gpx');
+  assert.strictEqual(RouteFormats.detectFormat('_p~iF~ps|U_ulLnnqC'), 'polyline');
+  assert.strictEqual(RouteFormats.detectFormat('hello world'), null);
+});
+
+test('detectFormat reads a polyline starting with `{` as a polyline', () => {
+  const encoded = '{ajB_c`|@o}@o}@';
+
+  assert.strictEqual(RouteFormats.detectFormat(encoded), 'polyline');
+  assert.strictEqual(RouteFormats.detectFormat('{"type":"LineString","coordinates":[]}'), 'geojson');
+  assert.strictEqual(RouteFormats.detectFormat('{ "type": '), 'geojson');
+
+  const route = RouteFormats.parse(encoded, RouteFormats.detectFormat(encoded));
+  assert.strictEqual(route.segments[0].points.length, 2);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+/**
+ * chrome.storage.local stand-in that copies values in and out like the real one
+ */
+function createStorage(items = {}) {
+  const copy = value => JSON.parse(JSON.stringify(value));
+  const storage = {
+    items: copy(items),
+    async get(keys) {
+      await null;
+      const wanted = keys === null ? Object.keys(storage.items) : keys;
+      return copy(Object.fromEntries(wanted.filter(key => key in storage.items).map(key => [key, storage.items[key]])));
+    },
+    async set(values) {
+      await null;
+      Object.assign(storage.items, copy(values));
+    },
+    async remove(keys) {
+      await null;
+      keys.forEach(key => delete storage.items[key]);
+    }
+  };
+  return storage;
+}
+
+/**
+ * Load the service worker against the given storage
+ */
+function loadLibrary(storage) {
+  const listener = { addListener() {} };
+  const context = load(['background/background.js'], {
+    crypto,
+    chrome: {
+      runtime: { onInstalled: listener, onMessage: listener },
+      action: { onClicked: listener },
+      tabs: { onUpdated: listener, onRemoved: listener },
+      storage: { local: storage }
+    }
+  });
+  return context.streetflixBackground.RouteLibrary;
+}
+
+const route = {
+  name: 'Bosphorus',
+  totalDistance: 1234.5,
+  waypoints: [{ lat: 41.0082, lng: 28.9784 }, { lat: 41.0255, lng: 28.9744 }]
+};
+
+test('legacy route_ keys move into the library once', async () => {
+  const storage = createStorage({ route_Old: route, streetflixSettings: { showHud: true } });
+  const library = loadLibrary(storage);
+
+  const { routes } = await library.handleMessage({ type: 'listRoutes' });
+
+  assert.strictEqual(routes.length, 1);
+  assert.strictEqual(routes[0].name, 'Old');
+  assert.strictEqual(routes[0].distance, 1235);
+  assert.strictEqual('route_Old' in storage.items, false);
+  assert.strictEqual(storage.items.streetflixRoutesMigrated, true);
+  assert.deepStrictEqual(plain(storage.items.streetflixSettings), { showHud: true });
+
+  const { route: loaded } = await library.handleMessage({ type: 'loadRoute', id: routes[0].id });
+  assert.deepStrictEqual(plain(loaded), route);
+});
+
+test('nothing is migrated or deleted once the library was migrated', async () => {
+  const storage = createStorage({ route_Later: route, streetflixRoutesMigrated: true });
+  const library = loadLibrary(storage);
+
+  const { routes } = await library.handleMessage({ type: 'listRoutes' });
+
+  assert.strictEqual(routes.length, 0);
+  assert.deepStrictEqual(plain(storage.items.route_Later), route);
+});
+
+test('operations sent together all take effect', async () => {
+  const storage = createStorage({ streetflixRoutesMigrated: true });
+  const library = loadLibrary(storage);
+
+  const saves = await Promise.all(['A', 'B', 'C', 'D'].map(name =>
+    library.handleMessage({ type: 'saveRoute', name, route })));
+  const [first, second] = saves.map(result => result.route.id);
+
+  await Promise.all([
+    library.handleMessage({ type: 'renameRoute', id: first, name: '  Renamed  ' }),
+    library.handleMessage({ type: 'duplicateRoute', id: first }),
+    library.handleMessage({ type: 'deleteRoute', id: second })
+  ]);
+
+  const { routes } = await library.handleMessage({ type: 'listRoutes' });
+  assert.deepStrictEqual(plain(routes.map(entry => entry.name).sort()), ['C', 'D', 'Renamed', 'Renamed (copy)']);
+});
+
+test('rename, duplicate and delete check their input', async () => {
+  const storage = createStorage({ streetflixRoutesMigrated: true });
+  const library = loadLibrary(storage);
+  const { route: saved } = await library.handleMessage({ type: 'saveRoute', name: 'Trip', route, tags: 'Sea, city,sea' });
+
+  await assert.rejects(library.handleMessage({ type: 'renameRoute', id: saved.id, name: '  ' }), /cannot be empty/);
+  await assert.rejects(library.handleMessage({ type: 'deleteRoute', id: 'missing' }), /not found/);
+  await assert.rejects(library.handleMessage({ type: 'saveRoute', name: 'Empty', route: { waypoints: [] } }), /empty route/);
+
+  const { route: copy } = await library.handleMessage({ type: 'duplicateRoute', id: saved.id });
+  assert.notStrictEqual(copy.id, saved.id);
+  assert.deepStrictEqual(plain(copy.tags), ['sea', 'city']);
+  assert.strictEqual('route' in copy, false);
+
+  await library.handleMessage({ type: 'deleteRoute', id: saved.id });
+  const { routes } = await library.handleMessage({ type: 'listRoutes' });
+  assert.deepStrictEqual(plain(routes.map(entry => entry.id)), [copy.id]);
+});
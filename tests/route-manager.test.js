@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const SCRIPTS = ['utils/geometry.js', 'content/routing-providers.js', 'content/route-manager.js'];
+const { RouteManager } = load(SCRIPTS);
+
+/**
+ * Route with the given waypoints, about 55 m apart heading north
+ */
+function createRoute(count) {
+  const route = new RouteManager();
+  route.setWaypointSegments([{
+    name: null,
+    description: null,
+    points: Array.from({ length: count }, (_, i) => ({ lat: 41 + i * 0.0005, lng: 29 }))
+  }]);
+  return route;
+}
+
+test('chapter skipping follows the playback direction', () => {
+  const route = createRoute(10);
+  route.addChapter('A', { index: 3 });
+  route.addChapter('B', { index: 6 });
+
+  route.jumpTo(4);
+  assert.strictEqual(route.nextChapter(), true);
+  assert.strictEqual(route.currentIndex, 6);
+  assert.strictEqual(route.nextChapter(), false);
+
+  route.jumpTo(4);
+  assert.strictEqual(route.previousChapter(), true);
+  assert.strictEqual(route.currentIndex, 3);
+  assert.strictEqual(route.previousChapter(), true);
+  assert.strictEqual(route.currentIndex, 0);
+  assert.strictEqual(route.previousChapter(), false);
+
+  route.setDirection(-1);
+  route.jumpTo(5);
+  assert.strictEqual(route.nextChapter(), true);
+  assert.strictEqual(route.currentIndex, 3);
+  assert.strictEqual(route.nextChapter(), false);
+
+  route.jumpTo(5);
+  assert.strictEqual(route.previousChapter(), true);
+  assert.strictEqual(route.currentIndex, 6);
+  assert.strictEqual(route.previousChapter(), true);
+  assert.strictEqual(route.currentIndex, 9);
+  assert.strictEqual(route.previousChapter(), false);
+});
+
+/**
+ * Resolver answering from a table by waypoint index
+ * Entries: a panorama ID (placed 2 m east of the waypoint), null for no
+ * coverage, or an Error for a failed lookup.
+ */
+function createResolver(route, table) {
+  const indices = new Map(route.waypoints.map((point, i) => [`${point.lat},${point.lng}`, i]));
+
+  return async point => {
+    const i = indices.get(`${point.lat},${point.lng}`);
+    const entry = table[i];
+    if (entry instanceof Error) throw entry;
+    if (!entry) return null;
+    return { panoId: entry, position: { lat: point.lat, lng: point.lng + 0.00002 } };
+  };
+}
+
+test('snapping merges waypoints that share a panorama', async () => {
+  const route = createRoute(5);
+  route.waypoints[3].name = 'Cafe';
+
+  const report = await route.snapToPanoramas(createResolver(route, ['a', 'a', 'b', 'b', 'c']));
+
+  assert.deepStrictEqual(plain(route.waypoints.map(p => p.panoId)), ['a', 'b', 'c']);
+  assert.strictEqual(route.waypoints[1].name, 'Cafe');
+  assert.strictEqual(route.waypoints[0].lng, 29.00002);
+  assert.strictEqual(report.merged, 2);
+  assert.strictEqual(report.resolved, 5);
+  assert.strictEqual(report.panoramas, 3);
+  assert.deepStrictEqual(plain(report.gaps), []);
+});
+
+test('snapping reports stretches without coverage', async () => {
+  const route = createRoute(6);
+  const gapStart = route.getDistanceAtIndex(1);
+  const gapEnd = route.getDistanceAtIndex(4);
+
+  const report = await route.snapToPanoramas(createResolver(route, ['a', 'b', null, null, 'c', null]));
+
+  assert.deepStrictEqual(plain(route.waypoints.map(p => p.panoId)), ['a', 'b', 'c']);
+  assert.strictEqual(report.gaps.length, 2);
+  assert.strictEqual(report.gaps[0].from, Math.round(gapStart));
+  assert.strictEqual(report.gaps[0].to, Math.round(gapEnd));
+  assert.strictEqual(report.uncoveredDistance, report.gaps[0].length + report.gaps[1].length);
+});
+
+test('snapping keeps waypoints whose lookup failed in place', async () => {
+  const route = createRoute(4);
+  const kept = { ...route.waypoints[2] };
+
+  const report = await route.snapToPanoramas(createResolver(route, ['a', 'b', new Error('timed out'), 'b']));
+
+  assert.strictEqual(report.failed, 1);
+  assert.deepStrictEqual(plain(route.waypoints[2]), kept);
+  assert.deepStrictEqual(plain(route.waypoints.map(p => p.panoId)), ['a', 'b', null, 'b']);
+  assert.strictEqual(report.merged, 0);
+});
+
+test('snapping fails when every lookup fails', async () => {
+  const route = createRoute(3);
+  const error = new Error('Street View service is not available on this page');
+
+  await assert.rejects(route.snapToPanoramas(createResolver(route, [error, error, error])), error);
+  assert.strictEqual(route.waypoints.length, 3);
+});
+
+test('snapping keeps the position by distance traveled', async () => {
+  const route = createRoute(8);
+  route.jumpTo(5);
+  const traveled = route.getDistanceTraveled();
+
+  await route.snapToPanoramas(createResolver(route, ['a', 'a', 'b', 'b', 'c', 'c', 'd', 'd']));
+
+  assert.strictEqual(route.waypoints.length, 4);
+  assert.strictEqual(route.currentIndex, route.getIndexAtDistance(traveled));
+  assert.strictEqual(route.getCurrentWaypoint().panoId, 'c');
+});
+
+test('snapping visits a junction between legs once and keeps the legs joined', async () => {
+  const route = new RouteManager();
+  const points = Array.from({ length: 5 }, (_, i) => ({ lat: 41 + i * 0.0005, lng: 29 }));
+  route.setWaypointSegments([
+    { name: 'First', description: null, points: points.slice(0, 3) },
+    { name: 'Second', description: null, points: points.slice(2) }
+  ]);
+  route.waypoints[2].name = 'Via';
+  const visits = [];
+  const resolver = createResolver(route, ['a', 'b', 'b', 'c', 'd']);
+
+  const report = await route.snapToPanoramas(point => {
+    visits.push(point);
+    return resolver(point);
+  });
+
+  assert.strictEqual(visits.length, 5);
+  assert.strictEqual(report.merged, 1);
+  assert.deepStrictEqual(plain(route.waypoints.map(p => p.panoId)), ['a', 'b', 'c', 'd']);
+  assert.strictEqual(route.waypoints[1].name, 'Via');
+  assert.deepStrictEqual(plain(route.legs.map(leg => [leg.startIndex, leg.endIndex])), [[0, 1], [1, 3]]);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, plain } = require('./helpers/load');
+
+const SCRIPTS = ['utils/geometry.js', 'utils/share-link.js'];
+const { ShareLink } = load(SCRIPTS, { location: { hash: '' } });
+
+const data = {
+  name: 'Istanbul & Sydney',
+  speed: 'cycling',
+  settings: { transitionStyle: 'dolly', repeatMode: 'loop' },
+  segments: [
+    {
+      name: 'Old town',
+      description: null,
+      points: [{ lat: 41.008238, lng: 28.978359 }, { lat: 41.025511, lng: 28.974379 }]
+    },
+    {
+      name: null,
+      description: null,
+      points: [{ lat: -33.856784, lng: 151.215297 }, { lat: -33.852306, lng: 151.210787 }]
+    }
+  ],
+  stops: [
+    { lat: 41.008238, lng: 28.978359, name: 'Sultanahmet' },
+    { lat: -33.852306, lng: 151.210787 }
+  ]
+};
+
+test('decode reverses encode', () => {
+  assert.deepStrictEqual(plain(ShareLink.decode(ShareLink.encode(data))), data);
+  assert.deepStrictEqual(plain(ShareLink.decode('#' + ShareLink.encode(data))), data);
+});
+
+test('encode drops stops unless every leg has one', () => {
+  const decoded = ShareLink.decode(ShareLink.encode({ ...data, stops: [data.stops[0], null] }));
+  assert.deepStrictEqual(plain(decoded.stops), []);
+});
+
+test('decode ignores other fragments and rejects unusable links', () => {
+  assert.strictEqual(ShareLink.decode(''), null);
+  assert.strictEqual(ShareLink.decode('#foo=bar'), null);
+  assert.throws(() => ShareLink.decode('streetflix=2&r=_p~iF~ps|U'), /newer version/);
+  assert.throws(() => ShareLink.decode('streetflix=1&r=_p~iF~ps|U'), /does not contain a route/);
+});
+
+test('decode keeps the route when the settings are malformed', () => {
+  const hash = ShareLink.encode({ ...data, settings: null }) + '&o=%7Bbroken';
+  const decoded = ShareLink.decode(hash);
+  assert.strictEqual(decoded.settings, null);
+  assert.strictEqual(decoded.segments.length, 2);
+});
+
+test('build starts Street View at the first point', () => {
+  const url = ShareLink.build(data, 92.6);
+  assert.ok(url.startsWith('https://www.google.com/maps/@41.008238,28.978359,3a,75y,93h,90t/data=!3m1!1e1#streetflix=1&'));
+});
+
+test('the fragment found at load is consumed once', () => {
+  const hash = '#' + ShareLink.encode(data);
+  const replaced = [];
+  const location = { hash, href: 'https://www.google.com/maps/@41,29,3a' + hash };
+  const history = { state: null, replaceState: (state, title, url) => replaced.push(url) };
+  const { ShareLink: loaded } = load(SCRIPTS, { location, history });
+
+  assert.strictEqual(loaded.consumePending(), hash);
+  assert.deepStrictEqual(replaced, ['https://www.google.com/maps/@41,29,3a']);
+  assert.strictEqual(loaded.consumePending(), null);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { load } = require('./helpers/load');
+
+const { TransitionStyles } = load(['utils/geometry.js', 'content/transition-styles.js']);
+
+test('dolly zoom tries one capture before falling back to the black fade', async () => {
+  const fades = [];
+  let captures = 0;
+  const engine = {
+    overlay: 'black',
+    imageOverlay: 'image',
+    settings: { fadeOpacity: 1 },
+    coverDelay: 100,
+    timing: { duration: 300 },
+    captureFrame: async () => {
+      captures++;
+      return null;
+    },
+    fade: async (element, opacity) => fades.push([element, opacity]),
+    scaled: ms => ms
+  };
+
+  const dolly = TransitionStyles.get('dolly');
+  const state = await dolly.capture(engine, { distance: 20, budget: 1000 });
+  await dolly.reveal(engine, state, {});
+
+  assert.strictEqual(captures, 1);
+  assert.deepStrictEqual(fades, [['black', 1], ['image', 0], ['black', 0]]);
+});
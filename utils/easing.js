@@ -0,0 +1,124 @@
+/**
+ * StreetFlix - Easing Curves
+ * Shared timing curves for scripted animations and CSS transitions
+ *
+ * Every curve exists in two forms: a function of progress for
+ * requestAnimationFrame animations, and a cubic-bezier() for CSS, so a
+ * heading pan and an overlay fade started together also move together.
+ */
+
+const Easing = {
+  /**
+   * Built-in ease-out curves, gentlest to sharpest
+   * `points` are the cubic-bezier control points closest to `fn`.
+   */
+  curves: {
+    cubic: {
+      label: 'Cubic',
+      points: [0.33, 1, 0.68, 1],
+      fn: t => 1 - Math.pow(1 - t, 3)
+    },
+    quint: {
+      label: 'Quint',
+      points: [0.22, 1, 0.36, 1],
+      fn: t => 1 - Math.pow(1 - t, 5)
+    },
+    expo: {
+      label: 'Expo',
+      points: [0.16, 1, 0.3, 1],
+      fn: t => t >= 1 ? 1 : 1 - Math.pow(2, -10 * t)
+    }
+  },
+
+  /**
+   * Get a curve by name
+   * @param {string} name - cubic, quint, expo or bezier
+   * @param {Array} points - [x1, y1, x2, y2] control points for bezier
+   * @returns {Object} {fn, css}; cubic if the name or points are invalid
+   */
+  get(name, points = null) {
+    if (name === 'bezier' && this.isValidBezier(points)) {
+      return { fn: this.bezier(...points), css: this.toCss(points) };
+    }
+
+    const curve = this.curves[name] || this.curves.cubic;
+    return { fn: curve.fn, css: this.toCss(curve.points) };
+  },
+
+  /**
+   * Build an easing function from cubic-bezier control points
+   * Same curve as CSS cubic-bezier(x1, y1, x2, y2).
+   * @returns {Function} Progress (0-1) to eased value
+   */
+  bezier(x1, y1, x2, y2) {
+    // Polynomial coefficients of x(s) and y(s) for the curve parameter s
+    const cx = 3 * x1;
+    const bx = 3 * (x2 - x1) - cx;
+    const ax = 1 - cx - bx;
+    const cy = 3 * y1;
+    const by = 3 * (y2 - y1) - cy;
+    const ay = 1 - cy - by;
+
+    const sampleX = s => ((ax * s + bx) * s + cx) * s;
+    const sampleY = s => ((ay * s + by) * s + cy) * s;
+    const slopeX = s => (3 * ax * s + 2 * bx) * s + cx;
+
+    // Find s where x(s) = t: Newton's method, bisection if it stalls
+    const solve = t => {
+      let s = t;
+      for (let i = 0; i < 8; i++) {
+        const error = sampleX(s) - t;
+        if (Math.abs(error) < 1e-6) return s;
+        const slope = slopeX(s);
+        if (Math.abs(slope) < 1e-6) break;
+        s -= error / slope;
+      }
+
+      let low = 0;
+      let high = 1;
+      s = t;
+      for (let i = 0; i < 30 && high - low > 1e-6; i++) {
+        if (sampleX(s) < t) low = s; else high = s;
+        s = (low + high) / 2;
+      }
+      return s;
+    };
+
+    return t => {
+      if (t <= 0) return 0;
+      if (t >= 1) return 1;
+      return sampleY(solve(t));
+    };
+  },
+
+  /**
+   * Parse control points typed as "x1, y1, x2, y2"
+   * @returns {Array|null} Points, or null if not a valid curve
+   */
+  parseBezier(text) {
+    const points = String(text || '')
+      .replace(/cubic-bezier|[()]/g, '')
+      .split(',')
+      .map(value => parseFloat(value));
+    return this.isValidBezier(points) ? points : null;
+  },
+
+  /**
+   * Check control points: four numbers, x values within 0-1 as CSS requires
+   */
+  isValidBezier(points) {
+    return Array.isArray(points) && points.length === 4 &&
+      points.every(Number.isFinite) &&
+      points[0] >= 0 && points[0] <= 1 && points[2] >= 0 && points[2] <= 1;
+  },
+
+  /**
+   * CSS timing function for control points
+   */
+  toCss(points) {
+    return `cubic-bezier(${points.join(', ')})`;
+  }
+};
+
+// Export for use in other scripts
+window.Easing = Easing;
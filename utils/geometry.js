@@ -47,18 +47,47 @@ const GeoUtils = {
     return R * c;
   },
 
+  /**
+   * Find the point a distance away along a heading
+   * @param {Object} from - {lat, lng}
+   * @param {number} heading - Heading in degrees
+   * @param {number} distance - Distance in meters
+   * @returns {Object} Destination {lat, lng}
+   */
+  destinationPoint(from, heading, distance) {
+    const R = 6371000; // Earth's radius in meters
+    const d = distance / R;
+    const bearing = this.toRad(heading);
+    const lat1 = this.toRad(from.lat);
+    const lng1 = this.toRad(from.lng);
+
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(d) +
+                           Math.cos(lat1) * Math.sin(d) * Math.cos(bearing));
+    const lng2 = lng1 + Math.atan2(Math.sin(bearing) * Math.sin(d) * Math.cos(lat1),
+                                   Math.cos(d) - Math.sin(lat1) * Math.sin(lat2));
+
+    return { lat: this.toDeg(lat2), lng: this.toDeg(lng2) };
+  },
+
   /**
    * Interpolate between two points
    * @param {Object} from - {lat, lng}
    * @param {Object} to - {lat, lng}
    * @param {number} t - Interpolation factor (0 to 1)
-   * @returns {Object} Interpolated point {lat, lng}
+   * @returns {Object} Interpolated point {lat, lng, ele?}
    */
   interpolate(from, to, t) {
-    return {
+    const point = {
       lat: from.lat + (to.lat - from.lat) * t,
       lng: from.lng + (to.lng - from.lng) * t
     };
+
+    // Carry elevation through when both ends have it
+    if (Number.isFinite(from.ele) && Number.isFinite(to.ele)) {
+      point.ele = from.ele + (to.ele - from.ele) * t;
+    }
+
+    return point;
   },
 
   /**
@@ -100,6 +129,162 @@ const GeoUtils = {
     return total;
   },
 
+  /**
+   * Distance from a point to a segment, in meters
+   * Uses a local flat projection, accurate for the short segments of a route.
+   * @param {Object} point - {lat, lng}
+   * @param {Object} start - Segment start {lat, lng}
+   * @param {Object} end - Segment end {lat, lng}
+   * @returns {number} Distance in meters
+   */
+  distanceToSegment(point, start, end) {
+    const metersPerDegLat = 111320;
+    const metersPerDegLng = 111320 * Math.cos(this.toRad(start.lat));
+
+    const px = (point.lng - start.lng) * metersPerDegLng;
+    const py = (point.lat - start.lat) * metersPerDegLat;
+    const ex = (end.lng - start.lng) * metersPerDegLng;
+    const ey = (end.lat - start.lat) * metersPerDegLat;
+
+    const lengthSq = ex * ex + ey * ey;
+    const t = lengthSq > 0 ? Math.max(0, Math.min(1, (px * ex + py * ey) / lengthSq)) : 0;
+
+    return Math.hypot(px - ex * t, py - ey * t);
+  },
+
+  /**
+   * Simplify a route with the Douglas-Peucker algorithm
+   * Named points (e.g. GPX waypoints) are always kept.
+   * @param {Array} points - Array of {lat, lng} points
+   * @param {number} tolerance - Max deviation in meters
+   * @returns {Array} Simplified points
+   */
+  simplifyRoute(points, tolerance = 3) {
+    if (points.length <= 2) return points.slice();
+
+    const keep = new Uint8Array(points.length);
+    keep[0] = 1;
+    keep[points.length - 1] = 1;
+
+    const stack = [[0, points.length - 1]];
+
+    while (stack.length) {
+      const [first, last] = stack.pop();
+      let maxDist = 0;
+      let index = -1;
+
+      for (let i = first + 1; i < last; i++) {
+        if (points[i].name) {
+          // Split at named points so they survive simplification
+          index = i;
+          maxDist = Infinity;
+          break;
+        }
+
+        const dist = this.distanceToSegment(points[i], points[first], points[last]);
+        if (dist > maxDist) {
+          maxDist = dist;
+          index = i;
+        }
+      }
+
+      if (index !== -1 && maxDist > tolerance) {
+        keep[index] = 1;
+        stack.push([first, index], [index, last]);
+      }
+    }
+
+    return points.filter((_, i) => keep[i]);
+  },
+
+  /**
+   * Resample a route with curvature-aware spacing
+   * Points are spread wider on straights and packed tighter around turns.
+   * Sharp corners and named points are kept exactly.
+   * @param {Array} points - Array of {lat, lng} points (ideally simplified)
+   * @param {number} spacing - Nominal spacing in meters
+   * @param {Object} options - {straightFactor, curveFactor, cornerAngle}
+   * @returns {Array} Resampled points
+   */
+  resampleRoute(points, spacing, options = {}) {
+    if (points.length < 2) return points.slice();
+
+    const {
+      straightFactor = 1.5,   // spacing multiplier far from any turn
+      curveFactor = 0.35,     // spacing multiplier at a 90°+ turn
+      cornerAngle = 25        // turns sharper than this keep their vertex
+    } = options;
+
+    // Cumulative distance and turn angle at each vertex
+    const dist = [0];
+    for (let i = 1; i < points.length; i++) {
+      dist.push(dist[i - 1] + this.calculateDistance(points[i - 1], points[i]));
+    }
+
+    const turns = points.map((p, i) => {
+      if (i === 0 || i === points.length - 1) return 0;
+      const inHeading = this.calculateHeading(points[i - 1], p);
+      const outHeading = this.calculateHeading(p, points[i + 1]);
+      return Math.abs(this.normalizeHeadingDiff(inHeading, outHeading));
+    });
+
+    const total = dist[dist.length - 1];
+    const radius = spacing * 2;
+    let windowStart = 0;
+
+    // How close d is to a turn, weighted by turn sharpness (0 to 1)
+    const curvatureAt = (d) => {
+      while (windowStart < points.length && dist[windowStart] < d - radius) windowStart++;
+
+      let curvature = 0;
+      for (let i = windowStart; i < points.length && dist[i] <= d + radius; i++) {
+        const sharpness = Math.min(turns[i] / 90, 1);
+        const proximity = 1 - Math.abs(d - dist[i]) / radius;
+        curvature = Math.max(curvature, sharpness * proximity);
+      }
+      return curvature;
+    };
+
+    // Corners and named points are landed on exactly
+    const anchors = [];
+    for (let i = 1; i < points.length - 1; i++) {
+      if (turns[i] > cornerAngle || points[i].name) anchors.push(i);
+    }
+
+    const result = [points[0]];
+    let nextAnchor = 0;
+    let segment = 0;
+    let d = 0;
+
+    while (true) {
+      const step = spacing * (straightFactor - (straightFactor - curveFactor) * curvatureAt(d));
+      let next = d + Math.max(step, 1);
+
+      while (nextAnchor < anchors.length && dist[anchors[nextAnchor]] <= d) nextAnchor++;
+      const anchor = nextAnchor < anchors.length ? anchors[nextAnchor] : -1;
+      const hitsAnchor = anchor !== -1 && dist[anchor] <= next + step * 0.3;
+
+      if (hitsAnchor) {
+        next = dist[anchor];
+        result.push(points[anchor]);
+        segment = anchor;
+      } else {
+        // Avoid a sliver segment right before the end
+        if (next >= total - step * 0.3) break;
+
+        while (segment < points.length - 2 && dist[segment + 1] < next) segment++;
+        const segLength = dist[segment + 1] - dist[segment];
+        const t = segLength > 0 ? (next - dist[segment]) / segLength : 0;
+        result.push(this.interpolate(points[segment], points[segment + 1], t));
+      }
+
+      d = next;
+    }
+
+    result.push(points[points.length - 1]);
+    return result;
+  },
+
   /**
    * Find the closest point on a route to a given position
    * @param {Object} position - {lat, lng}
@@ -124,9 +309,11 @@ const GeoUtils = {
   /**
    * Decode a Google polyline string to coordinates
    * @param {string} encoded - Encoded polyline string
+   * @param {number} precision - Decimal places (5 for Google, 6 for OSRM/Valhalla)
    * @returns {Array} Array of {lat, lng} points
    */
-  decodePolyline(encoded) {
+  decodePolyline(encoded, precision = 5) {
+    const factor = Math.pow(10, precision);
     const points = [];
     let index = 0;
     let lat = 0;
@@ -159,14 +346,55 @@ const GeoUtils = {
       lng += dlng;
 
       points.push({
-        lat: lat / 1e5,
-        lng: lng / 1e5
+        lat: lat / factor,
+        lng: lng / factor
       });
     }
 
     return points;
   },
 
+  /**
+   * Encode coordinates as a Google polyline string
+   * @param {Array} points - Array of {lat, lng} points
+   * @param {number} precision - Decimal places (5 for Google, 6 for OSRM/Valhalla)
+   * @returns {string} Encoded polyline string
+   */
+  encodePolyline(points, precision = 5) {
+    const factor = Math.pow(10, precision);
+    let encoded = '';
+    let prevLat = 0;
+    let prevLng = 0;
+
+    for (const point of points) {
+      const lat = Math.round(point.lat * factor);
+      const lng = Math.round(point.lng * factor);
+
+      encoded += this.encodePolylineValue(lat - prevLat);
+      encoded += this.encodePolylineValue(lng - prevLng);
+
+      prevLat = lat;
+      prevLng = lng;
+    }
+
+    return encoded;
+  },
+
+  /**
+   * Encode a single signed delta for a polyline
+   */
+  encodePolylineValue(value) {
+    let v = value < 0 ? ~(value << 1) : (value << 1);
+    let encoded = '';
+
+    while (v >= 0x20) {
+      encoded += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+
+    return encoded + String.fromCharCode(v + 63);
+  },
+
   /**
    * Convert degrees to radians
    */
@@ -0,0 +1,282 @@
+/**
+ * StreetFlix - Google Maps URL Decoder
+ * Extract stops and travel mode from Google Maps directions URLs
+ *
+ * Handles the URL styles Maps produces:
+ *   /maps/dir/Galata+Tower/Taksim+Square/@41.03,28.97,15z/data=!4m14!4m13!1m5!1m1!1s0x..:0x..!2m2!1d28.97!2d41.02!1m5!1m1!1s0x..:0x..!2m2!1d28.98!2d41.03!3e2
+ *   /maps/dir/41.0256,28.9741/41.0369,28.9850/@41.03,28.97,15z/data=!4m2!4m1!3e1
+ *   /maps/dir/?api=1&origin=41.0256,28.9741&destination=41.0369,28.9850&travelmode=walking
+ *
+ * In the ?api=1 form only coordinates can be decoded. Maps rewrites such a
+ * link into the /dir/ form once it has looked the places up, so a link that
+ * names a place decodes after the directions have opened.
+ */
+
+const MapsURL = {
+  /**
+   * Travel mode enum values used in the `!3e` data field
+   */
+  travelModes: {
+    0: 'driving',
+    1: 'bicycling',
+    2: 'walking',
+    3: 'transit',
+    4: 'flight'
+  },
+
+  /**
+   * StreetFlix speed mode for each travel mode
+   */
+  speedModes: {
+    driving: 'driving',
+    bicycling: 'cycling',
+    walking: 'walking',
+    transit: 'driving',
+    flight: 'flying'
+  },
+
+  /**
+   * Decode a directions URL
+   * @param {string} url - Google Maps URL
+   * @returns {Object} {stops: [{lat, lng, name}], travelMode}
+   */
+  parseDirections(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      throw new Error('Not a valid URL');
+    }
+
+    if (!/\/maps\/dir(\/|$)/.test(parsed.pathname)) {
+      throw new Error('Not a Google Maps directions URL (open directions first)');
+    }
+
+    if (parsed.searchParams.get('api') === '1') {
+      return this.parseDirectionsAPI(parsed.searchParams);
+    }
+
+    const places = this.getPathPlaces(parsed.pathname);
+    const dataMatch = parsed.pathname.match(/\/data=([^/]+)/);
+    const directions = dataMatch ?
+      this.findDirections(this.parseDataParam(dataMatch[1])) :
+      { waypoints: [], travelMode: null };
+
+    if (directions.waypoints.length && directions.waypoints.length !== places.length) {
+      console.warn(`[StreetFlix] Directions URL has ${places.length} places but ${directions.waypoints.length} data waypoints`);
+    }
+
+    // Path places and data waypoints appear in the same order
+    const count = Math.max(places.length, directions.waypoints.length);
+    const stops = [];
+
+    for (let i = 0; i < count; i++) {
+      const name = places[i] ?? null;
+      const coords = this.parseLatLng(name) || directions.waypoints[i] || null;
+
+      // An empty slot is a stop the user has not filled in yet
+      if (!name && !coords) continue;
+
+      stops.push(this.makeStop(name, coords));
+    }
+
+    return this.validateStops(stops, directions.travelMode);
+  },
+
+  /**
+   * Decode the documented Maps URLs API form (?api=1&origin=...)
+   */
+  parseDirectionsAPI(params) {
+    const names = [
+      params.get('origin'),
+      ...(params.get('waypoints') || '').split('|'),
+      params.get('destination')
+    ].filter(Boolean);
+
+    const stops = names.map(name => this.makeStop(name, this.parseLatLng(name)));
+
+    const mode = params.get('travelmode');
+    return this.validateStops(stops, Object.values(this.travelModes).includes(mode) ? mode : null);
+  },
+
+  /**
+   * Build a stop; plain "lat,lng" places get no name
+   */
+  makeStop(name, coords) {
+    return {
+      name: name && !this.parseLatLng(name) ? name : null,
+      lat: coords?.lat ?? null,
+      lng: coords?.lng ?? null
+    };
+  },
+
+  /**
+   * Check every stop was located and build the result
+   */
+  validateStops(stops, travelMode) {
+    if (stops.length < 2) {
+      throw new Error('Directions need at least an origin and a destination');
+    }
+
+    const missing = stops.filter(stop => stop.lat === null);
+    if (missing.length) {
+      const names = missing.map(stop => `"${stop.name}"`).join(', ');
+      throw new Error(`Could not find coordinates for ${names} in the directions URL (wait for Maps to show the directions, then try again)`);
+    }
+
+    return { stops, travelMode };
+  },
+
+  /**
+   * Get place names from the path segments between /dir/ and @ or data=
+   * @returns {Array} Decoded names; empty slots are null
+   */
+  getPathPlaces(pathname) {
+    const parts = pathname.split('/');
+    const start = parts.indexOf('dir') + 1;
+    const places = [];
+
+    for (let i = start; i < parts.length; i++) {
+      const part = parts[i];
+      if (part.startsWith('@') || part.startsWith('data=') || part === 'am=t') break;
+      places.push(part ? this.decodeComponent(part) : null);
+    }
+
+    // A trailing slash leaves one empty segment that is not a stop
+    if (places.length && places[places.length - 1] === null && pathname.endsWith('/')) {
+      places.pop();
+    }
+
+    return places;
+  },
+
+  /**
+   * Parse the `data=` protobuf-style parameter into a tree
+   * Each token is !<field><type><value>; an `m` token's value is the
+   * number of tokens nested below it.
+   * @param {string} data - Raw data parameter
+   * @returns {Array} Nodes {field, type, value, children?}
+   */
+  parseDataParam(data) {
+    const tokens = data.split('!').filter(Boolean).map(raw => {
+      const match = raw.match(/^(\d+)([a-zA-Z])(.*)$/);
+      return match ? { field: parseInt(match[1], 10), type: match[2], raw: match[3] } : null;
+    }).filter(Boolean);
+
+    let pos = 0;
+
+    const readNodes = (count) => {
+      const nodes = [];
+      const end = pos + count;
+
+      while (pos < end && pos < tokens.length) {
+        const token = tokens[pos++];
+        const node = { field: token.field, type: token.type, value: this.decodeValue(token) };
+
+        if (token.type === 'm') {
+          node.children = readNodes(node.value);
+        }
+
+        nodes.push(node);
+      }
+
+      return nodes;
+    };
+
+    return readNodes(tokens.length);
+  },
+
+  /**
+   * Decode a data token value by its type
+   */
+  decodeValue(token) {
+    switch (token.type) {
+      case 'm':
+      case 'e':
+      case 'i':
+        return parseInt(token.raw, 10) || 0;
+      case 'd':
+      case 'f':
+        return parseFloat(token.raw);
+      case 'b':
+        return token.raw === '1';
+      default:
+        return this.decodeComponent(token.raw);
+    }
+  },
+
+  /**
+   * Find the directions message in a data tree
+   * It is the first message holding two or more `!1m` waypoint children.
+   * @returns {Object} {waypoints: [{lat, lng} | null], travelMode}
+   */
+  findDirections(nodes) {
+    for (const node of nodes) {
+      if (node.type !== 'm') continue;
+
+      const waypointNodes = node.children.filter(c => c.field === 1 && c.type === 'm');
+      const modeNode = node.children.find(c => c.field === 3 && c.type === 'e');
+
+      if (waypointNodes.length >= 2 || (modeNode && waypointNodes.length === 0 && node.field === 4)) {
+        return {
+          waypoints: waypointNodes.map(wp => this.getWaypointCoords(wp)),
+          travelMode: modeNode ? (this.travelModes[modeNode.value] || null) : null
+        };
+      }
+
+      const nested = this.findDirections(node.children);
+      if (nested.waypoints.length || nested.travelMode) return nested;
+    }
+
+    return { waypoints: [], travelMode: null };
+  },
+
+  /**
+   * Read !2m2!1d<lng>!2d<lat> from a waypoint message
+   */
+  getWaypointCoords(node) {
+    const coordsNode = node.children.find(c => c.field === 2 && c.type === 'm');
+    if (!coordsNode) return null;
+
+    const lng = coordsNode.children.find(c => c.field === 1 && c.type === 'd')?.value;
+    const lat = coordsNode.children.find(c => c.field === 2 && c.type === 'd')?.value;
+
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+  },
+
+  /**
+   * Parse a "lat,lng" string
+   * @returns {Object|null} {lat, lng}
+   */
+  parseLatLng(text) {
+    const match = text?.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+    if (!match) return null;
+
+    const lat = parseFloat(match[1]);
+    const lng = parseFloat(match[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+
+    return { lat, lng };
+  },
+
+  /**
+   * Get the StreetFlix speed mode for a travel mode
+   */
+  toSpeedMode(travelMode) {
+    return this.speedModes[travelMode] || null;
+  },
+
+  /**
+   * URL-decode a path component ('+' is a space in Maps paths)
+   */
+  decodeComponent(str) {
+    try {
+      return decodeURIComponent(str.replace(/\+/g, ' '));
+    } catch (e) {
+      return str;
+    }
+  }
+};
+
+// Export for use in other scripts
+window.MapsURL = MapsURL;
@@ -0,0 +1,594 @@
+/**
+ * StreetFlix - Route Formats
+ * Parse and serialize routes in common interchange formats
+ *
+ * Parsers return a normalized route:
+ *   { name, segments: [{ name, description, points: [{lat, lng, ele?, name?}] }] }
+ */
+
+const RouteFormats = {
+  /**
+   * Parse a GPX document
+   * Tracks and routes become segments; standalone waypoints are only
+   * used as the route when the file has no tracks or routes.
+   * @param {string} text - GPX XML
+   * @returns {Object} Normalized route
+   */
+  parseGPX(text) {
+    const doc = this.parseXML(text, 'GPX');
+    const root = doc.documentElement;
+
+    if (root.localName !== 'gpx') {
+      throw new Error(`Invalid GPX: expected <gpx> root element, found <${root.localName}>`);
+    }
+
+    const metadata = this.childByName(root, 'metadata');
+    const route = {
+      name: this.childText(metadata, 'name') || null,
+      segments: []
+    };
+
+    this.childrenByName(root, 'trk').forEach((trk, trkIdx) => {
+      const name = this.childText(trk, 'name');
+      const description = this.childText(trk, 'desc');
+      const trksegs = this.childrenByName(trk, 'trkseg');
+
+      trksegs.forEach((trkseg, segIdx) => {
+        const points = this.childrenByName(trkseg, 'trkpt')
+          .map((el, ptIdx) => this.parseGPXPoint(el, `track ${trkIdx + 1}, segment ${segIdx + 1}, point ${ptIdx + 1}`));
+
+        if (points.length > 0) {
+          route.segments.push({
+            name: trksegs.length > 1 && name ? `${name} (${segIdx + 1})` : name,
+            description,
+            points
+          });
+        }
+      });
+    });
+
+    this.childrenByName(root, 'rte').forEach((rte, rteIdx) => {
+      const points = this.childrenByName(rte, 'rtept')
+        .map((el, ptIdx) => this.parseGPXPoint(el, `route ${rteIdx + 1}, point ${ptIdx + 1}`));
+
+      if (points.length > 0) {
+        route.segments.push({
+          name: this.childText(rte, 'name'),
+          description: this.childText(rte, 'desc'),
+          points
+        });
+      }
+    });
+
+    if (route.segments.length === 0) {
+      const points = this.childrenByName(root, 'wpt')
+        .map((el, ptIdx) => this.parseGPXPoint(el, `waypoint ${ptIdx + 1}`));
+
+      if (points.length > 0) {
+        route.segments.push({ name: null, description: null, points });
+      }
+    }
+
+    return this.finalize(route, 'GPX');
+  },
+
+  /**
+   * Parse a single GPX point element (wpt, rtept or trkpt)
+   * @param {Element} el - Point element
+   * @param {string} where - Human readable location for error messages
+   * @returns {Object} {lat, lng, ele?, name?}
+   */
+  parseGPXPoint(el, where) {
+    const point = this.validatePoint(
+      parseFloat(el.getAttribute('lat')),
+      parseFloat(el.getAttribute('lon')),
+      `GPX ${where}`
+    );
+
+    const ele = parseFloat(this.childText(el, 'ele'));
+    if (Number.isFinite(ele)) point.ele = ele;
+
+    const name = this.childText(el, 'name');
+    if (name) point.name = name;
+
+    return point;
+  },
+
+  /**
+   * Serialize a route to GPX
+   * Each segment is written as its own track so names survive a round trip.
+   * @param {Object} route - Normalized route
+   * @returns {string} GPX XML
+   */
+  toGPX(route) {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="StreetFlix" xmlns="http://www.topografix.com/GPX/1/1">'
+    ];
+
+    if (route.name) {
+      lines.push('  <metadata>', `    <name>${this.escapeXML(route.name)}</name>`, '  </metadata>');
+    }
+
+    route.segments.forEach(segment => {
+      lines.push('  <trk>');
+      if (segment.name) lines.push(`    <name>${this.escapeXML(segment.name)}</name>`);
+      if (segment.description) lines.push(`    <desc>${this.escapeXML(segment.description)}</desc>`);
+      lines.push('    <trkseg>');
+
+      segment.points.forEach(p => {
+        const children = [];
+        if (Number.isFinite(p.ele)) children.push(`<ele>${p.ele.toFixed(1)}</ele>`);
+        if (p.name) children.push(`<name>${this.escapeXML(p.name)}</name>`);
+
+        const attrs = `lat="${p.lat.toFixed(7)}" lon="${p.lng.toFixed(7)}"`;
+        lines.push(children.length ?
+          `      <trkpt ${attrs}>${children.join('')}</trkpt>` :
+          `      <trkpt ${attrs}/>`);
+      });
+
+      lines.push('    </trkseg>', '  </trk>');
+    });
+
+    lines.push('</gpx>');
+    return lines.join('\n');
+  },
+
+  /**
+   * Parse a GeoJSON document
+   * LineStrings become segments, MultiLineStrings one segment per line.
+   * Point features are only used when there is no line geometry.
+   * @param {string} text - GeoJSON text
+   * @returns {Object} Normalized route
+   */
+  parseGeoJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Invalid GeoJSON: ${e.message}`);
+    }
+
+    if (!data || typeof data !== 'object' || !data.type) {
+      throw new Error('Invalid GeoJSON: missing "type" member');
+    }
+
+    const route = { name: data.name || data.properties?.name || null, segments: [] };
+    const points = [];
+
+    const addGeometry = (geometry, props, where) => {
+      if (!geometry) return;
+
+      const name = props.name || props.title || null;
+      const description = props.description || props.desc || null;
+
+      switch (geometry.type) {
+        case 'LineString':
+          route.segments.push({
+            name,
+            description,
+            points: this.parseGeoJSONCoords(geometry.coordinates, where)
+          });
+          break;
+
+        case 'MultiLineString':
+          this.requireArray(geometry.coordinates, `GeoJSON ${where}`);
+          geometry.coordinates.forEach((line, idx) => {
+            route.segments.push({
+              name: name && geometry.coordinates.length > 1 ? `${name} (${idx + 1})` : name,
+              description,
+              points: this.parseGeoJSONCoords(line, `${where}, line ${idx + 1}`)
+            });
+          });
+          break;
+
+        case 'Point': {
+          const [point] = this.parseGeoJSONCoords([geometry.coordinates], where);
+          if (name) point.name = name;
+          points.push(point);
+          break;
+        }
+
+        case 'GeometryCollection':
+          this.requireArray(geometry.geometries, `GeoJSON ${where}`);
+          geometry.geometries.forEach((g, idx) => addGeometry(g, props, `${where}, geometry ${idx + 1}`));
+          break;
+
+        default:
+          // Polygons and other geometries carry no route information
+          break;
+      }
+    };
+
+    const addFeature = (feature, where) => {
+      if (feature?.type !== 'Feature') {
+        throw new Error(`Invalid GeoJSON ${where}: expected a Feature`);
+      }
+      addGeometry(feature.geometry, feature.properties || {}, where);
+    };
+
+    switch (data.type) {
+      case 'FeatureCollection':
+        this.requireArray(data.features, 'GeoJSON FeatureCollection features');
+        data.features.forEach((feature, idx) => addFeature(feature, `feature ${idx + 1}`));
+        break;
+      case 'Feature':
+        addFeature(data, 'feature');
+        break;
+      default:
+        addGeometry(data, {}, 'geometry');
+    }
+
+    route.segments = route.segments.filter(segment => segment.points.length > 0);
+
+    if (route.segments.length === 0 && points.length > 0) {
+      route.segments.push({ name: null, description: null, points });
+    }
+
+    return this.finalize(route, 'GeoJSON');
+  },
+
+  /**
+   * Parse a GeoJSON position array ([lng, lat, ele?])
+   */
+  parseGeoJSONCoords(coords, where) {
+    this.requireArray(coords, `GeoJSON ${where}`);
+
+    return coords.map((c, idx) => {
+      this.requireArray(c, `GeoJSON ${where}, position ${idx + 1}`);
+      const point = this.validatePoint(c[1], c[0], `GeoJSON ${where}, position ${idx + 1}`);
+      if (Number.isFinite(c[2])) point.ele = c[2];
+      return point;
+    });
+  },
+
+  /**
+   * Serialize a route to GeoJSON
+   * Each segment is a LineString feature carrying its name and description.
+   * @param {Object} route - Normalized route
+   * @returns {string} GeoJSON text
+   */
+  toGeoJSON(route) {
+    const collection = {
+      type: 'FeatureCollection',
+      name: route.name || undefined,
+      features: route.segments.map(segment => ({
+        type: 'Feature',
+        properties: {
+          name: segment.name || null,
+          description: segment.description || null
+        },
+        geometry: {
+          type: 'LineString',
+          coordinates: segment.points.map(p => Number.isFinite(p.ele) ?
+            [this.round(p.lng, 7), this.round(p.lat, 7), this.round(p.ele, 1)] :
+            [this.round(p.lng, 7), this.round(p.lat, 7)])
+        }
+      }))
+    };
+
+    return JSON.stringify(collection, null, 2);
+  },
+
+  /**
+   * Parse a KML document
+   * Each Placemark LineString or gx:Track becomes a named segment.
+   * Point placemarks are only used when there is no line geometry.
+   * @param {string} text - KML XML
+   * @returns {Object} Normalized route
+   */
+  parseKML(text) {
+    const doc = this.parseXML(text, 'KML');
+    const root = doc.documentElement;
+
+    if (root.localName !== 'kml') {
+      throw new Error(`Invalid KML: expected <kml> root element, found <${root.localName}>`);
+    }
+
+    const documentEl = this.descendantsByName(root, 'Document')[0];
+    const route = { name: this.childText(documentEl, 'name'), segments: [] };
+    const points = [];
+
+    this.descendantsByName(root, 'Placemark').forEach((placemark, pmIdx) => {
+      const name = this.childText(placemark, 'name');
+      const description = this.childText(placemark, 'description');
+      const where = `placemark ${pmIdx + 1}`;
+
+      const lines = [
+        ...this.descendantsByName(placemark, 'LineString')
+          .map((el, idx) => this.parseKMLCoords(this.childText(el, 'coordinates'), `${where}, line ${idx + 1}`)),
+        ...this.descendantsByName(placemark, 'Track')
+          .map((el, idx) => this.parseKMLTrack(el, `${where}, track ${idx + 1}`))
+      ].filter(line => line.length > 0);
+
+      lines.forEach((line, idx) => {
+        route.segments.push({
+          name: name && lines.length > 1 ? `${name} (${idx + 1})` : name,
+          description,
+          points: line
+        });
+      });
+
+      this.descendantsByName(placemark, 'Point').forEach(el => {
+        const [point] = this.parseKMLCoords(this.childText(el, 'coordinates'), where);
+        if (point) {
+          if (name) point.name = name;
+          points.push(point);
+        }
+      });
+    });
+
+    if (route.segments.length === 0 && points.length > 0) {
+      route.segments.push({ name: null, description: null, points });
+    }
+
+    return this.finalize(route, 'KML');
+  },
+
+  /**
+   * Parse a KML coordinates string ("lng,lat[,alt] lng,lat[,alt] ...")
+   */
+  parseKMLCoords(text, where) {
+    if (!text) return [];
+
+    return text.split(/\s+/).filter(Boolean).map((tuple, idx) => {
+      const [lng, lat, ele] = tuple.split(',').map(parseFloat);
+      const point = this.validatePoint(lat, lng, `KML ${where}, coordinate ${idx + 1}`);
+      if (Number.isFinite(ele)) point.ele = ele;
+      return point;
+    });
+  },
+
+  /**
+   * Parse a gx:Track element (space separated gx:coord values)
+   */
+  parseKMLTrack(track, where) {
+    return this.childrenByName(track, 'coord').map((el, idx) => {
+      const [lng, lat, ele] = el.textContent.trim().split(/\s+/).map(parseFloat);
+      const point = this.validatePoint(lat, lng, `KML ${where}, coordinate ${idx + 1}`);
+      if (Number.isFinite(ele)) point.ele = ele;
+      return point;
+    });
+  },
+
+  /**
+   * Serialize a route to KML
+   * Each segment is a Placemark with a LineString.
+   * @param {Object} route - Normalized route
+   * @returns {string} KML XML
+   */
+  toKML(route) {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '  <Document>'
+    ];
+
+    if (route.name) lines.push(`    <name>${this.escapeXML(route.name)}</name>`);
+
+    route.segments.forEach(segment => {
+      lines.push('    <Placemark>');
+      if (segment.name) lines.push(`      <name>${this.escapeXML(segment.name)}</name>`);
+      if (segment.description) lines.push(`      <description>${this.escapeXML(segment.description)}</description>`);
+
+      const coords = segment.points.map(p => {
+        const tuple = `${p.lng.toFixed(7)},${p.lat.toFixed(7)}`;
+        return Number.isFinite(p.ele) ? `${tuple},${p.ele.toFixed(1)}` : tuple;
+      });
+
+      lines.push(
+        '      <LineString>',
+        '        <tessellate>1</tessellate>',
+        `        <coordinates>${coords.join(' ')}</coordinates>`,
+        '      </LineString>',
+        '    </Placemark>'
+      );
+    });
+
+    lines.push('  </Document>', '</kml>');
+    return lines.join('\n');
+  },
+
+  /**
+   * Parse an encoded Google polyline
+   * @param {string} text - Encoded polyline
+   * @returns {Object} Normalized route
+   */
+  parsePolyline(text) {
+    let points;
+    try {
+      points = GeoUtils.decodePolyline(text.trim());
+    } catch (e) {
+      throw new Error(`Invalid polyline: ${e.message}`);
+    }
+
+    points.forEach((p, idx) => this.validatePoint(p.lat, p.lng, `polyline point ${idx + 1}`));
+    return this.finalize({ name: null, segments: [{ name: null, description: null, points }] }, 'polyline');
+  },
+
+  /**
+   * Guess the format of a route file from its name or contents
+   * @param {string} text - File contents
+   * @param {string} filename - Optional file name
+   * @returns {string|null} Format name
+   */
+  detectFormat(text, filename = '') {
+    const ext = filename.split('.').pop().toLowerCase();
+    if (ext === 'gpx' || ext === 'kml') return ext;
+    if (ext === 'geojson' || ext === 'json') return 'geojson';
+
+    const head = (text || '').trimStart().slice(0, 500);
+    const isPolyline = /^[\x3f-\x7e]+$/.test(head.trim());
+
+    // `{` is also a polyline character: only JSON counts as GeoJSON then
+    if (head.startsWith('{')) {
+      if (!isPolyline) return 'geojson';
+      try {
+        JSON.parse(text);
+        return 'geojson';
+      } catch (e) {
+        return 'polyline';
+      }
+    }
+    if (/<gpx[\s>]/.test(head)) return 'gpx';
+    if (/<kml[\s>]/.test(head)) return 'kml';
+    if (isPolyline) return 'polyline';
+
+    return null;
+  },
+
+  /**
+   * Parse a route in the given format
+   * @param {string} text - File contents
+   * @param {string} format - Format name (gpx, geojson, kml, polyline)
+   * @returns {Object} Normalized route
+   */
+  parse(text, format) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Route file is empty');
+    }
+
+    switch (format) {
+      case 'gpx':
+        return this.parseGPX(text);
+      case 'geojson':
+        return this.parseGeoJSON(text);
+      case 'kml':
+        return this.parseKML(text);
+      case 'polyline':
+        return this.parsePolyline(text);
+      default:
+        throw new Error(`Unsupported route format: ${format}`);
+    }
+  },
+
+  /**
+   * Serialize a route to the given format
+   * @param {Object} route - Normalized route
+   * @param {string} format - Format name (gpx, geojson, kml)
+   * @returns {string}
+   */
+  serialize(route, format) {
+    switch (format) {
+      case 'gpx':
+        return this.toGPX(route);
+      case 'geojson':
+        return this.toGeoJSON(route);
+      case 'kml':
+        return this.toKML(route);
+      default:
+        throw new Error(`Unsupported route format: ${format}`);
+    }
+  },
+
+  /**
+   * File metadata for exported formats
+   */
+  fileTypes: {
+    gpx: { extension: 'gpx', mimeType: 'application/gpx+xml' },
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json' },
+    kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+  },
+
+  /**
+   * Check a parsed route has enough points and fill in its name
+   */
+  finalize(route, label) {
+    const total = route.segments.reduce((sum, seg) => sum + seg.points.length, 0);
+    if (total < 2) {
+      throw new Error(`Invalid ${label}: route must contain at least 2 points`);
+    }
+
+    if (!route.name && route.segments[0].name) {
+      route.name = route.segments[0].name;
+    }
+
+    return route;
+  },
+
+  /**
+   * Parse an XML string and surface parser errors
+   */
+  parseXML(text, label) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const error = doc.getElementsByTagName('parsererror')[0];
+
+    if (error) {
+      const detail = error.textContent.trim().split('\n')[0];
+      throw new Error(`Invalid ${label}: malformed XML (${detail})`);
+    }
+
+    return doc;
+  },
+
+  /**
+   * Validate coordinates and build a point
+   */
+  validatePoint(lat, lng, where) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      throw new Error(`Invalid ${where}: missing or non-numeric coordinates`);
+    }
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      throw new Error(`Invalid ${where}: coordinates out of range (${lat}, ${lng})`);
+    }
+    return { lat, lng };
+  },
+
+  /**
+   * Get direct children by local name (ignores XML namespaces)
+   */
+  childrenByName(el, name) {
+    if (!el) return [];
+    return Array.from(el.children).filter(child => child.localName === name);
+  },
+
+  childByName(el, name) {
+    return this.childrenByName(el, name)[0] || null;
+  },
+
+  /**
+   * Get all descendants by local name (ignores XML namespaces)
+   */
+  descendantsByName(el, name) {
+    if (!el) return [];
+    return Array.from(el.getElementsByTagNameNS('*', name));
+  },
+
+  childText(el, name) {
+    const child = this.childByName(el, name);
+    const text = child ? child.textContent.trim() : '';
+    return text || null;
+  },
+
+  /**
+   * Throw unless value is an array
+   */
+  requireArray(value, where) {
+    if (!Array.isArray(value)) {
+      throw new Error(`Invalid ${where}: expected an array`);
+    }
+  },
+
+  /**
+   * Round a number to a fixed number of decimals
+   */
+  round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  },
+
+  /**
+   * Escape text for XML output
+   */
+  escapeXML(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+};
+
+// Export for use in other scripts
+window.RouteFormats = RouteFormats;
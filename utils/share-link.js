@@ -0,0 +1,129 @@
+/**
+ * StreetFlix - Share Links
+ * Encode a route, speed mode and settings into a URL fragment
+ *
+ * Fragment layout (URLSearchParams, legs and stops as precision 6 polylines):
+ *   #streetflix=1&n=<name>&sp=<speed>&o=<settings json>&r=<leg>&ln=<leg name>...&st=<stops>&sn=<stop name>...
+ *
+ * This script runs at document_start so the fragment is read before
+ * Google Maps rewrites the URL.
+ */
+
+const ShareLink = {
+  PARAM: 'streetflix',
+  VERSION: 1,
+  PRECISION: 6,
+
+  /**
+   * Fragment found when the page loaded, if any
+   */
+  pendingHash: null,
+
+  /**
+   * Encode route data as a URL fragment (without the leading #)
+   * @param {Object} data - {name, speed, settings, segments, stops}
+   * @returns {string}
+   */
+  encode(data) {
+    const params = new URLSearchParams();
+    params.set(this.PARAM, String(this.VERSION));
+
+    if (data.name) params.set('n', data.name);
+    if (data.speed) params.set('sp', data.speed);
+    if (data.settings) params.set('o', JSON.stringify(data.settings));
+
+    data.segments.forEach(segment => {
+      params.append('r', GeoUtils.encodePolyline(segment.points, this.PRECISION));
+      params.append('ln', segment.name || '');
+    });
+
+    if (data.stops?.length && data.stops.every(Boolean)) {
+      params.set('st', GeoUtils.encodePolyline(data.stops, this.PRECISION));
+      data.stops.forEach(stop => params.append('sn', stop.name || ''));
+    }
+
+    return params.toString();
+  },
+
+  /**
+   * Decode a URL fragment produced by encode()
+   * @param {string} hash - Fragment, with or without the leading #
+   * @returns {Object|null} Route data, or null if this is not a share link
+   */
+  decode(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const version = parseInt(params.get(this.PARAM), 10);
+
+    if (!version) return null;
+    if (version > this.VERSION) {
+      throw new Error('This share link was made by a newer version of StreetFlix');
+    }
+
+    const legNames = params.getAll('ln');
+    const segments = params.getAll('r').map((encoded, idx) => ({
+      name: legNames[idx] || null,
+      description: null,
+      points: GeoUtils.decodePolyline(encoded, this.PRECISION)
+    })).filter(segment => segment.points.length > 0);
+
+    if (segments.reduce((sum, segment) => sum + segment.points.length, 0) < 2) {
+      throw new Error('Share link does not contain a route');
+    }
+
+    const stopNames = params.getAll('sn');
+    const stops = params.has('st') ?
+      GeoUtils.decodePolyline(params.get('st'), this.PRECISION).map((stop, idx) =>
+        stopNames[idx] ? { ...stop, name: stopNames[idx] } : stop) :
+      [];
+
+    let settings = null;
+    try {
+      settings = params.has('o') ? JSON.parse(params.get('o')) : null;
+    } catch (e) {
+      console.warn('[StreetFlix] Ignoring malformed settings in share link');
+    }
+
+    return {
+      name: params.get('n'),
+      speed: params.get('sp'),
+      settings,
+      segments,
+      stops
+    };
+  },
+
+  /**
+   * Build a Street View URL at the route start carrying the route fragment
+   * @param {Object} data - Route data, see encode()
+   * @param {number} heading - Initial camera heading
+   * @returns {string}
+   */
+  build(data, heading = 0) {
+    const start = data.segments[0].points[0];
+    return `https://www.google.com/maps/@${start.lat},${start.lng},3a,75y,${Math.round(heading)}h,90t` +
+      `/data=!3m1!1e1#${this.encode(data)}`;
+  },
+
+  /**
+   * Take the share fragment found at page load, clearing it from the URL
+   * @returns {string|null} Raw fragment
+   */
+  consumePending() {
+    const hash = this.pendingHash;
+    this.pendingHash = null;
+
+    if (hash && location.hash === hash) {
+      history.replaceState(history.state, '', location.href.split('#')[0]);
+    }
+
+    return hash;
+  }
+};
+
+// Remember the fragment before Maps replaces the URL
+if (location.hash.includes(`${ShareLink.PARAM}=`)) {
+  ShareLink.pendingHash = location.hash;
+}
+
+// Export for use in other scripts
+window.ShareLink = ShareLink;